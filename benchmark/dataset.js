@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+// A labeled dataset is a directory per docType holding each document next to its expected
+// data with the same name:
+//   benchmark/data/invoice/acme-2024-01.pdf
+//   benchmark/data/invoice/acme-2024-01.json   <- the data the recognizer should return
+// With --doc-type the documents sit directly in the dataset directory instead.
+
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+};
+
+const isDocument = (file) => !file.startsWith('.') && Boolean(MIME_TYPES[path.extname(file).toLowerCase()]);
+
+function loadDirectory(dir, docType, warnings) {
+    return fs.readdirSync(dir).filter(isDocument).sort().flatMap(file => {
+        const expectedPath = path.join(dir, `${path.basename(file, path.extname(file))}.json`);
+        if (!fs.existsSync(expectedPath)) {
+            warnings.push(`${path.join(dir, file)}: no ${path.basename(expectedPath)} with the expected data, skipped`);
+            return [];
+        }
+
+        let expected;
+        try {
+            expected = JSON.parse(fs.readFileSync(expectedPath, 'utf8'));
+        } catch (e) {
+            warnings.push(`${expectedPath}: ${e.message}, skipped`);
+            return [];
+        }
+        return [{
+            docType,
+            file: path.join(dir, file),
+            name: file,
+            mimeType: MIME_TYPES[path.extname(file).toLowerCase()],
+            expected,
+        }];
+    });
+}
+
+/**
+ * Reads a labeled dataset.
+ * @param {string} dir Dataset directory.
+ * @param {{docType?: string|null}} options docType of a flat directory.
+ * @returns {{samples: Array<{docType: string, file: string, name: string, mimeType: string, expected: object}>, warnings: string[]}}
+ */
+function loadDataset(dir, { docType = null } = {}) {
+    const warnings = [];
+    if (docType) return { samples: loadDirectory(dir, docType, warnings), warnings };
+
+    const samples = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => loadDirectory(path.join(dir, entry.name), entry.name, warnings));
+
+    const loose = fs.readdirSync(dir).filter(isDocument);
+    if (loose.length) {
+        warnings.push(`${loose.length} document(s) directly in ${dir} ignored: put them in a directory named after their docType or pass --doc-type`);
+    }
+    return { samples, warnings };
+}
+
+module.exports = { loadDataset };
@@ -0,0 +1,140 @@
+// Self-contained HTML version of a benchmark report (no scripts, no external assets), so it
+// can be attached to a ticket or archived as a CI artifact.
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const percent = (rate) => rate === null || rate === undefined ? '–' : `${(rate * 100).toFixed(1)}%`;
+const ms = (value) => value === null || value === undefined ? '–' : `${value} ms`;
+const count = (value) => value === null || value === undefined ? '–' : value.toLocaleString('en-US');
+
+// Red (0) to green (1) background for rates
+const rateColor = (rate) => rate === null || rate === undefined ? 'transparent' : `hsla(${Math.round(rate * 120)}, 70%, 45%, 0.25)`;
+
+const exactDocumentsRate = (entry) => entry.documents ? entry.exactDocuments / entry.documents : null;
+
+// Columns of the comparison tables; `better` marks the best configuration per column
+const COLUMNS = [
+    { label: 'Documents', value: e => e.requests, format: count },
+    { label: 'Failure rate', value: e => e.failureRate, format: percent, better: 'low' },
+    { label: 'Schema valid', value: e => e.requests - e.failed ? e.schemaValid / (e.requests - e.failed) : null, format: percent, better: 'high' },
+    { label: 'Precision', value: e => e.overall.precision, format: percent, better: 'high', shade: true },
+    { label: 'Recall', value: e => e.overall.recall, format: percent, better: 'high', shade: true },
+    { label: 'Exact match', value: e => e.overall.exactMatch, format: percent, better: 'high', shade: true },
+    { label: 'Exact documents', value: exactDocumentsRate, format: percent, better: 'high', shade: true },
+    { label: 'p50', value: e => e.latency.p50, format: ms, better: 'low' },
+    { label: 'p95', value: e => e.latency.p95, format: ms, better: 'low' },
+    { label: 'p99', value: e => e.latency.p99, format: ms, better: 'low' },
+    { label: 'Tokens / document', value: e => e.tokens.perDocument, format: count, better: 'low' },
+];
+
+function comparisonTable(rows) {
+    const best = COLUMNS.map(column => {
+        const values = rows.map(row => column.value(row.entry)).filter(v => v !== null && v !== undefined);
+        if (!column.better || rows.length < 2 || !values.length) return null;
+        return column.better === 'high' ? Math.max(...values) : Math.min(...values);
+    });
+
+    return `<table>
+<thead><tr><th>Configuration</th>${COLUMNS.map(c => `<th>${c.label}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(({ name, entry }) => `<tr><th>${escapeHtml(name)}</th>${COLUMNS.map((column, i) => {
+        const value = column.value(entry);
+        const style = column.shade ? ` style="background:${rateColor(value)}"` : '';
+        const mark = best[i] !== null && value === best[i] ? ' class="best"' : '';
+        return `<td${style}${mark}>${column.format(value)}</td>`;
+    }).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+// Fields as rows, configurations as columns; cells show the exact-match rate
+function fieldMatrix(docType, configurations) {
+    const withType = configurations.filter(c => c.docTypes[docType]);
+    const fields = [...new Set(withType.flatMap(c => Object.keys(c.docTypes[docType].fields)))].sort();
+
+    return `<table>
+<thead><tr><th>Field</th>${withType.map(c => `<th>${escapeHtml(c.name)}</th>`).join('')}</tr></thead>
+<tbody>
+${fields.map(field => `<tr><th>${escapeHtml(field)}</th>${withType.map(c => {
+        const rates = c.docTypes[docType].fields[field];
+        if (!rates) return '<td>–</td>';
+        const title = `precision ${percent(rates.precision)}, recall ${percent(rates.recall)}, ${rates.compared} compared (${rates.match} match, ${rates.wrong} wrong, ${rates.missing} missing, ${rates.extra} extra)`;
+        return `<td style="background:${rateColor(rates.exactMatch)}" title="${escapeHtml(title)}">${percent(rates.exactMatch)}</td>`;
+    }).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+}
+
+function baselineSection(baseline) {
+    const status = baseline.compared === 0
+        ? `<p class="fail">Nothing compared: no configuration and docType of this run is in the baseline of ${escapeHtml(baseline.baselineCreatedAt)}.</p>`
+        : baseline.regressions.length
+        ? `<p class="fail">${baseline.regressions.length} regression(s) of more than ${percent(baseline.maxRegression)} against the baseline of ${escapeHtml(baseline.baselineCreatedAt)}.</p>`
+        : `<p class="pass">No regression of more than ${percent(baseline.maxRegression)} against the baseline of ${escapeHtml(baseline.baselineCreatedAt)} (${baseline.compared} compared).</p>`;
+    const missing = baseline.missing.length
+        ? `<p>Not in the baseline: ${baseline.missing.map(escapeHtml).join(', ')}</p>`
+        : '';
+    const rows = baseline.regressions.length ? `<table>
+<thead><tr><th>Configuration</th><th>docType</th><th>Metric</th><th>Baseline</th><th>Now</th></tr></thead>
+<tbody>
+${baseline.regressions.map(r => `<tr><td>${escapeHtml(r.configuration)}</td><td>${escapeHtml(r.docType)}</td><td>${r.metric}</td><td>${percent(r.baseline)}</td><td>${percent(r.current)}</td></tr>`).join('\n')}
+</tbody>
+</table>` : '';
+    return `<h2>Baseline</h2>\n${status}\n${missing}\n${rows}`;
+}
+
+/**
+ * Renders a report of run.js as a standalone HTML page.
+ * @param {object} report See buildReport() in report.js, with `baseline` when compared.
+ * @returns {string}
+ */
+function renderHtml(report) {
+    const { config, configurations } = report;
+    const docTypes = [...new Set(configurations.flatMap(c => Object.keys(c.docTypes)))].sort();
+    const failures = report.runs.filter(run => run.error);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Benchmark ${escapeHtml(report.createdAt)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1e293b; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; font-size: 0.9rem; }
+th, td { border: 1px solid #cbd5e1; padding: 0.3rem 0.6rem; text-align: right; }
+th:first-child, thead th { text-align: left; }
+thead th { background: #f1f5f9; }
+td.best { font-weight: bold; }
+.meta { color: #64748b; }
+.pass { color: #15803d; }
+.fail { color: #b91c1c; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Benchmark</h1>
+<p class="meta">${escapeHtml(report.createdAt)} · dataset ${escapeHtml(config.dir)}${config.docType ? ` (${escapeHtml(config.docType)})` : ''} · ${config.runs} run(s) per document · concurrency ${config.concurrency} · tolerance ${config.tolerance}</p>
+
+<h2>All document types</h2>
+${comparisonTable(configurations.map(c => ({ name: c.name, entry: c })))}
+
+${docTypes.map(docType => `<h2>${escapeHtml(docType)}</h2>
+${comparisonTable(configurations.filter(c => c.docTypes[docType]).map(c => ({ name: c.name, entry: c.docTypes[docType] })))}
+<h3>Exact match per field</h3>
+${fieldMatrix(docType, configurations)}`).join('\n\n')}
+
+${report.baseline ? baselineSection(report.baseline) : ''}
+
+${failures.length ? `<h2>Failed requests</h2>
+<table>
+<thead><tr><th>Configuration</th><th>File</th><th>Run</th><th>Error</th></tr></thead>
+<tbody>
+${failures.map(run => `<tr><td>${escapeHtml(run.configuration)}</td><td>${escapeHtml(run.file)}</td><td>${run.run}</td><td style="text-align:left">${escapeHtml(run.error)}</td></tr>`).join('\n')}
+</tbody>
+</table>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderHtml };
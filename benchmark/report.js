@@ -0,0 +1,134 @@
+const { summarize } = require('./scoring');
+
+// Aggregates benchmark runs into the report written by run.js: one entry per configuration
+// (provider + prompt variant) with accuracy, latency, failures and token usage, overall and
+// per docType, and compares it with a previous report (--baseline).
+
+// Accuracy rates checked against the baseline
+const BASELINE_METRICS = ['precision', 'recall', 'exactMatch', 'exactDocuments'];
+
+/**
+ * Nearest-rank percentile of sorted numbers.
+ * @param {number[]} sorted
+ * @param {number} p Percentile (0-100).
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+    if (!sorted.length) return null;
+    return sorted[Math.min(sorted.length, Math.max(1, Math.ceil(p / 100 * sorted.length))) - 1];
+}
+
+// Latency of the successful requests in ms
+function latencyStats(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    return {
+        mean: sorted.length ? Math.round(sorted.reduce((sum, d) => sum + d, 0) / sorted.length) : null,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p95: percentile(sorted, 95),
+        p99: percentile(sorted, 99),
+        max: sorted.length ? sorted[sorted.length - 1] : null,
+    };
+}
+
+function tokenStats(runs) {
+    const succeeded = runs.filter(run => !run.error);
+    const sum = (key) => succeeded.reduce((total, run) => total + ((run.usage && run.usage[key]) || 0), 0);
+    const total = sum('totalTokens');
+    return {
+        calls: sum('calls'),
+        input: sum('inputTokens'),
+        output: sum('outputTokens'),
+        total,
+        perDocument: succeeded.length ? Math.round(total / succeeded.length) : null,
+    };
+}
+
+// Runs ({ durationMs, error?, schemaValid, violations, usage, leaves }) of one configuration
+// or docType. Failed runs are scored with every expected field missing (`leaves` set by run.js).
+function aggregate(runs) {
+    const failed = runs.filter(run => run.error).length;
+    return {
+        requests: runs.length,
+        failed,
+        failureRate: runs.length ? Math.round(failed / runs.length * 10000) / 10000 : null,
+        schemaValid: runs.filter(run => run.schemaValid).length,
+        violations: runs.reduce((sum, run) => sum + (run.violations || 0), 0),
+        latency: latencyStats(runs.filter(run => !run.error).map(run => run.durationMs)),
+        tokens: tokenStats(runs),
+        ...summarize(runs.map(run => run.leaves)),
+    };
+}
+
+/**
+ * Builds the report of a benchmark.
+ * @param {object} config The benchmark configuration.
+ * @param {Array<{name: string, provider: string, variant: object}>} configurations
+ * @param {object[]} runs Every run with its `configuration` name, `docType` and scored `leaves`.
+ * @returns {object}
+ */
+function buildReport(config, configurations, runs) {
+    return {
+        createdAt: new Date().toISOString(),
+        config,
+        configurations: configurations.map(configuration => {
+            const own = runs.filter(run => run.configuration === configuration.name);
+            const docTypes = [...new Set(own.map(run => run.docType))];
+            return {
+                ...configuration,
+                ...aggregate(own),
+                docTypes: Object.fromEntries(docTypes.map(docType => [docType, aggregate(own.filter(run => run.docType === docType))])),
+            };
+        }),
+        runs,
+    };
+}
+
+// The accuracy rates of an aggregate compared with the baseline
+const metricValue = (entry, metric) => metric === 'exactDocuments'
+    ? (entry.documents ? entry.exactDocuments / entry.documents : null)
+    : entry.overall[metric];
+
+/**
+ * Compares a report with a previous one: every configuration and docType present in both is
+ * checked for accuracy drops larger than `maxRegression` (absolute, 0.01 = one percentage point).
+ * @param {object} report
+ * @param {object} baseline A report written earlier by run.js --output.
+ * @param {number} maxRegression
+ * @returns {{regressions: object[], compared: number, missing: string[], baselineCreatedAt: string}}
+ */
+function compareWithBaseline(report, baseline, maxRegression) {
+    if (!baseline || !Array.isArray(baseline.configurations)) {
+        throw new Error('The baseline is not a benchmark report (written with --output)');
+    }
+
+    const regressions = [];
+    const missing = [];
+    let compared = 0;
+    for (const configuration of report.configurations) {
+        const previous = baseline.configurations.find(c => c.name === configuration.name);
+        if (!previous) {
+            missing.push(configuration.name);
+            continue;
+        }
+
+        for (const [docType, current] of Object.entries(configuration.docTypes)) {
+            const before = previous.docTypes[docType];
+            if (!before) {
+                missing.push(`${configuration.name} ${docType}`);
+                continue;
+            }
+            compared++;
+            for (const metric of BASELINE_METRICS) {
+                const was = metricValue(before, metric);
+                const is = metricValue(current, metric);
+                if (was !== null && is !== null && was - is > maxRegression + 1e-9) {
+                    regressions.push({ configuration: configuration.name, docType, metric, baseline: was, current: is });
+                }
+            }
+        }
+    }
+    return { baselineCreatedAt: baseline.createdAt, maxRegression, compared, missing, regressions };
+}
+
+module.exports = { buildReport, compareWithBaseline, percentile, BASELINE_METRICS };
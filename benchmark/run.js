@@ -1,25 +1,153 @@
 const fs = require('fs');
-const path = require('path');
-const { validateDrawdown } = require('./validators');
+const { loadDataset } = require('./dataset');
+const { DEFAULT_TOLERANCE, compareDocument } = require('./scoring');
+const { buildReport, compareWithBaseline } = require('./report');
+const { renderHtml } = require('./html-report');
 
 // Configuration
 const API_URL = process.env.API_URL || 'http://localhost:3000/api/recognize';
+// Mismatches listed per document
+const MAX_LISTED_MISMATCHES = 10;
+// Allowed accuracy drop against --baseline (one percentage point)
+const DEFAULT_MAX_REGRESSION = 0.01;
+
+const percent = (rate) => rate === null || rate === undefined ? '–' : `${(rate * 100).toFixed(1)}%`;
+
+const formatValue = (value) => {
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+};
+
+// The current schema of a docType gives the field types for scoring; without it the
+// expected values decide
+async function fetchSchema(docType) {
+    try {
+        const response = await fetch(new URL(`/api/schemas/${encodeURIComponent(docType)}`, API_URL));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return (await response.json()).schema;
+    } catch (err) {
+        console.warn(`Could not load the schema of "${docType}" (${err.message}), field types are guessed from the expected data.`);
+        return null;
+    }
+}
+
+// Variants file: [{ "name": "...", ...fields sent to /api/recognize }]
+function loadVariants(file) {
+    const variants = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(variants) || variants.some(v => !v || typeof v.name !== 'string' || !v.name)) {
+        throw new Error(`${file} must hold an array of variants, each with a "name"`);
+    }
+    const names = variants.map(v => v.name);
+    const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+    if (duplicate) throw new Error(`Variant "${duplicate}" is defined twice in ${file}`);
+    return variants;
+}
+
+// Every provider with every variant; a variant that sets modelProvider only runs with that one
+function buildConfigurations(providers, variants) {
+    if (!variants) return providers.map(provider => ({ name: provider, provider, variant: null }));
+
+    return variants.flatMap(({ name, ...fields }) => {
+        const variantProviders = fields.modelProvider ? [fields.modelProvider] : providers;
+        return variantProviders.map(provider => ({ name: `${provider}/${name}`, provider, variant: { name, ...fields } }));
+    });
+}
+
+async function recognize(sample, configuration) {
+    const { name, ...fields } = configuration.variant || {};
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            file: fs.readFileSync(sample.file).toString('base64'),
+            mimeType: sample.mimeType,
+            docType: sample.docType,
+            ...fields,
+            modelProvider: configuration.provider
+        })
+    });
+    if (!response.ok) {
+        const txt = await response.text();
+        throw new Error(`HTTP ${response.status}: ${txt.substring(0, 200)}`);
+    }
+    return response.json();
+}
+
+function printTable(headers, rows) {
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+    const line = (cells) => `  ${cells.map((cell, i) => i === 0 ? String(cell).padEnd(widths[i]) : String(cell).padStart(widths[i])).join('  ')}`;
+    console.log(line(headers));
+    rows.forEach(row => console.log(line(row)));
+}
+
+// One row per configuration: accuracy, failures, latency and tokens
+function printMatrix(title, entries) {
+    console.log(`\n=== ${title} ===`);
+    printTable(
+        ['Configuration', 'Docs', 'Failed', 'Precision', 'Recall', 'Exact', 'Exact docs', 'p50', 'p95', 'p99', 'Tokens/doc'],
+        entries.map(({ name, entry }) => [
+            name,
+            entry.requests,
+            percent(entry.failureRate),
+            percent(entry.overall.precision),
+            percent(entry.overall.recall),
+            percent(entry.overall.exactMatch),
+            `${entry.exactDocuments}/${entry.documents}`,
+            entry.latency.p50 === null ? '–' : `${entry.latency.p50}ms`,
+            entry.latency.p95 === null ? '–' : `${entry.latency.p95}ms`,
+            entry.latency.p99 === null ? '–' : `${entry.latency.p99}ms`,
+            entry.tokens.perDocument ?? '–',
+        ])
+    );
+}
+
+function printFields(docType, entry) {
+    console.log(`\n--- ${docType}: fields ---`);
+    printTable(
+        ['Field', 'Compared', 'Precision', 'Recall', 'Exact'],
+        Object.entries(entry.fields).map(([field, rates]) => [field, rates.compared, percent(rates.precision), percent(rates.recall), percent(rates.exactMatch)])
+    );
+}
 
 async function runBenchmark() {
+    // Shared with the app's batch and chunk processing
+    const { mapWithConcurrency } = await import('../src/lib/concurrency.js');
+
     const args = process.argv.slice(2);
     const config = {
         dir: 'benchmark/data',
         runs: 1,
-        provider: 'gemini',
-        expectedSum: null
+        providers: ['gemini'],
+        variants: null,
+        concurrency: 1,
+        docType: null,
+        tolerance: DEFAULT_TOLERANCE,
+        output: null,
+        html: null,
+        baseline: null,
+        maxRegression: DEFAULT_MAX_REGRESSION
     };
 
     // Simple argument parsing
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--dir') config.dir = args[++i];
-        else if (args[i] === '--runs') config.runs = parseInt(args[++i]);
-        else if (args[i] === '--provider') config.provider = args[++i];
-        else if (args[i] === '--expected-sum') config.expectedSum = parseFloat(args[++i]);
+        else if (args[i] === '--runs') config.runs = Number(args[++i]);
+        else if (args[i] === '--provider' || args[i] === '--providers') config.providers = args[++i].split(',').map(p => p.trim()).filter(Boolean);
+        else if (args[i] === '--variants') config.variants = args[++i];
+        else if (args[i] === '--concurrency') config.concurrency = Number(args[++i]);
+        else if (args[i] === '--doc-type') config.docType = args[++i];
+        else if (args[i] === '--tolerance') config.tolerance = parseFloat(args[++i]);
+        else if (args[i] === '--output') config.output = args[++i];
+        else if (args[i] === '--html') config.html = args[++i];
+        else if (args[i] === '--baseline') config.baseline = args[++i];
+        else if (args[i] === '--max-regression') config.maxRegression = parseFloat(args[++i]);
+    }
+
+    for (const option of ['runs', 'concurrency']) {
+        if (!Number.isInteger(config[option]) || config[option] < 1) {
+            console.error(`--${option} must be a positive integer`);
+            process.exit(1);
+        }
     }
 
     console.log('--- Benchmark Configuration ---');
@@ -31,112 +159,108 @@ async function runBenchmark() {
         process.exit(1);
     }
 
-    // Filter for common document files
-    const files = fs.readdirSync(config.dir).filter(f => {
-        const ext = path.extname(f).toLowerCase();
-        return !f.startsWith('.') && ['.pdf', '.png', '.jpg', '.jpeg'].includes(ext);
-    });
+    let configurations;
+    let baseline = null;
+    try {
+        configurations = buildConfigurations(config.providers, config.variants ? loadVariants(config.variants) : null);
+        if (config.baseline) baseline = JSON.parse(fs.readFileSync(config.baseline, 'utf8'));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
 
-    if (files.length === 0) {
-        console.error('No document files (pdf, png, jpg) found in directory.');
+    const { samples, warnings } = loadDataset(config.dir, { docType: config.docType });
+    warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+    if (samples.length === 0) {
+        console.error('No labeled documents (pdf, png, jpg with a .json of the expected data) found.');
         process.exit(1);
     }
 
-    const stats = {
-        totalRequests: 0,
-        success: 0,
-        failed: 0,
-        totalRuntime: 0,
-        validations: {
-            ok: 0,
-            nok: 0
-        },
-        ibans: {
-            valid: 0,
-            invalid: 0
+    const docTypes = [...new Set(samples.map(s => s.docType))];
+    const schemas = {};
+    for (const docType of docTypes) schemas[docType] = await fetchSchema(docType);
+
+    // Configurations take turns on each document, so a slow period of the API hits all of them
+    const tasks = samples.flatMap(sample => configurations.flatMap(configuration =>
+        Array.from({ length: config.runs }, (_, i) => ({ sample, configuration, run: i + 1 }))));
+    console.log(`Found ${samples.length} labeled documents (${docTypes.join(', ')}), ${configurations.length} configuration(s): ${tasks.length} requests. Starting benchmark...\n`);
+
+    const runs = await mapWithConcurrency(tasks, config.concurrency, async ({ sample, configuration, run }) => {
+        const label = `[${configuration.name}] ${sample.docType}/${sample.name} run ${run}/${config.runs}`;
+        const entry = { configuration: configuration.name, docType: sample.docType, file: sample.file, run };
+        const start = Date.now();
+        try {
+            const result = await recognize(sample, configuration);
+            const durationMs = Date.now() - start;
+            const leaves = compareDocument(sample.expected, result.data, schemas[sample.docType], { tolerance: config.tolerance });
+            const mismatches = leaves.filter(l => l.outcome !== 'match' && l.outcome !== 'empty');
+
+            const lines = [`${label}: ${mismatches.length ? 'NOK' : 'OK'} - ${durationMs}ms | ${leaves.length - mismatches.length}/${leaves.length} fields`];
+            for (const m of mismatches.slice(0, MAX_LISTED_MISMATCHES)) {
+                lines.push(`    ${m.outcome.padEnd(7)} ${m.field}: expected ${formatValue(m.expected)}, got ${formatValue(m.actual)}`);
+            }
+            if (mismatches.length > MAX_LISTED_MISMATCHES) {
+                lines.push(`    ... and ${mismatches.length - MAX_LISTED_MISMATCHES} more`);
+            }
+            console.log(lines.join('\n'));
+
+            return {
+                ...entry,
+                durationMs,
+                schemaValid: Boolean(result.validation && result.validation.valid),
+                violations: ((result.validation && result.validation.violations) || []).length,
+                usage: result.usage || null,
+                leaves
+            };
+        } catch (err) {
+            console.log(`${label}: ERROR: ${err.message}`);
+            // Failed requests count as documents with every expected field missing
+            return { ...entry, durationMs: Date.now() - start, error: err.message, leaves: compareDocument(sample.expected, null, schemas[sample.docType]) };
         }
-    };
+    });
+
+    const report = buildReport(config, configurations, runs);
 
-    console.log(`Found ${files.length} files. Starting benchmark...`);
-
-    for (const file of files) {
-        const filePath = path.join(config.dir, file);
-        console.log(`
-Processing: ${file}`);
-
-        // Prepare payload
-        const fileBuffer = fs.readFileSync(filePath);
-        const base64File = fileBuffer.toString('base64');
-        
-        const ext = path.extname(file).toLowerCase();
-        const mimeType = ext === '.pdf' ? 'application/pdf' : 
-                         ext === '.png' ? 'image/png' : 
-                         'image/jpeg';
-
-        for (let i = 0; i < config.runs; i++) {
-            process.stdout.write(`  Run ${i + 1}/${config.runs}... `); 
-            
-            const start = Date.now();
-            try {
-                const response = await fetch(API_URL, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        file: base64File,
-                        mimeType: mimeType,
-                        docType: 'drawdown',
-                        modelProvider: config.provider
-                    })
-                });
-
-                const duration = Date.now() - start;
-                stats.totalRuntime += duration;
-                stats.totalRequests++;
-
-                if (!response.ok) {
-                    console.log(`FAIL (HTTP ${response.status}) - ${duration}ms`);
-                    const txt = await response.text();
-                    console.log(`    Msg: ${txt.substring(0, 200)}`);
-                    stats.failed++;
-                    continue;
-                }
-
-                const result = await response.json();
-                
-                // Validation
-                const validation = validateDrawdown(result, config.expectedSum);
-                
-                // Accumulate IBAN statistics
-                stats.ibans.valid += validation.validIbans;
-                stats.ibans.invalid += validation.invalidIbans;
-                
-                if (validation.errors.length === 0) {
-                    console.log(`OK - ${duration}ms | IBANs: ${validation.validIbans} | Sum: ${validation.totalAmount}`);
-                    stats.success++;
-                    stats.validations.ok++;
-                } else {
-                    console.log(`NOK - ${duration}ms`);
-                    console.log(`    Errors: ${validation.errors.join(', ')}`);
-                    stats.success++; // Request succeeded, but validation failed
-                    stats.validations.nok++;
-                }
-
-            } catch (err) {
-                 console.log(`ERROR: ${err.message}`);
-                 stats.failed++;
+    printMatrix('All document types', report.configurations.map(c => ({ name: c.name, entry: c })));
+    for (const docType of docTypes) {
+        printMatrix(docType, report.configurations.filter(c => c.docTypes[docType]).map(c => ({ name: c.name, entry: c.docTypes[docType] })));
+        // With several configurations the field matrix is in the HTML report
+        if (report.configurations.length === 1) printFields(docType, report.configurations[0].docTypes[docType]);
+    }
+
+    if (baseline) {
+        try {
+            report.baseline = compareWithBaseline(report, baseline, config.maxRegression);
+        } catch (err) {
+            console.error(err.message);
+            process.exit(1);
+        }
+
+        console.log(`\n=== Baseline (${report.baseline.baselineCreatedAt}) ===`);
+        if (report.baseline.missing.length) console.log(`Not in the baseline: ${report.baseline.missing.join(', ')}`);
+        if (report.baseline.compared === 0) {
+            console.error('Nothing compared: no configuration and docType of this run is in the baseline.');
+        } else if (report.baseline.regressions.length) {
+            for (const r of report.baseline.regressions) {
+                console.log(`REGRESSION [${r.configuration}] ${r.docType} ${r.metric}: ${percent(r.baseline)} -> ${percent(r.current)}`);
             }
+        } else {
+            console.log(`No regression of more than ${percent(config.maxRegression)} (${report.baseline.compared} compared).`);
         }
     }
 
-    console.log('\n\n--- Benchmark Results ---');
-    console.log(`Total Requests:     ${stats.totalRequests}`);
-    console.log(`Successful API:     ${stats.success}`);
-    console.log(`Failed API:         ${stats.failed}`);
-    console.log(`Avg Runtime:        ${stats.totalRequests ? Math.round(stats.totalRuntime / stats.totalRequests) : 0}ms`);
-    console.log(`Validation OK:      ${stats.validations.ok}`);
-    console.log(`Validation NOK:     ${stats.validations.nok}`);
-    console.log(`Valid IBANs:        ${stats.ibans.valid}`);
-    console.log(`Invalid IBANs:      ${stats.ibans.invalid}`);
+    if (config.output) {
+        fs.writeFileSync(config.output, JSON.stringify(report, null, 2));
+        console.log(`\nReport written to ${config.output}`);
+    }
+    if (config.html) {
+        fs.writeFileSync(config.html, renderHtml(report));
+        console.log(`HTML report written to ${config.html}`);
+    }
+
+    if (report.baseline && (report.baseline.regressions.length || report.baseline.compared === 0)) {
+        process.exitCode = 1;
+    }
 }
 
 runBenchmark();
@@ -0,0 +1,194 @@
+// Field-level comparison of an extraction against its ground truth.
+// Every leaf value is compared type-aware (the schema decides the type when there is one,
+// otherwise the expected value does); arrays of objects (rows, transactions, ...) are aligned
+// row by row first, so a missing or extra row does not shift every row after it.
+
+// The app's own parsers, so amounts and dates are compared the way the app normalizes them
+// (src/lib/formats.js is an ES module, loaded through require() of ES modules: Node 20.19+)
+const { parseAmount, parseDate } = require('../src/lib/formats.js');
+
+const DEFAULT_TOLERANCE = 0.01;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) => value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0) || (isPlainObject(value) && Object.keys(value).length === 0);
+
+const toList = (annotation) => annotation === undefined ? [] : [].concat(annotation);
+
+// The schema's type without "null"
+function typeOf(schema) {
+    if (!schema) return null;
+    const types = [].concat(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : []));
+    return types.find(type => type !== 'null') || null;
+}
+
+// Case, accents and whitespace do not count; fields normalized with stripSpaces (IBANs,
+// account numbers) ignore spaces entirely
+function normalizeString(value, schema) {
+    const str = String(value).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    return toList(schema && schema['x-normalize']).includes('stripSpaces') ? str.replace(/\s/g, '') : str.replace(/\s+/g, ' ');
+}
+
+const isDateField = (schema) => Boolean(schema) &&
+    (schema.format === 'date' || toList(schema['x-normalize']).includes('isoDate') || toList(schema['x-validate']).includes('isoDate'));
+
+/**
+ * Whether two non-empty leaf values match.
+ * @param {*} expected
+ * @param {*} actual
+ * @param {object|null} schema The field's schema, if known.
+ * @param {{tolerance?: number}} options Absolute tolerance for numbers.
+ * @returns {boolean}
+ */
+function valuesMatch(expected, actual, schema, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    const type = typeOf(schema);
+
+    if (type === 'number' || type === 'integer' || (!type && typeof expected === 'number')) {
+        const a = parseAmount(expected);
+        const b = parseAmount(actual);
+        return a !== null && b !== null && Math.abs(a - b) <= tolerance + Number.EPSILON * Math.max(Math.abs(a), 1);
+    }
+    if (type === 'boolean' || typeof expected === 'boolean') {
+        return String(expected).toLowerCase() === String(actual).toLowerCase();
+    }
+    if (isDateField(schema) || (!type && parseDate(expected))) {
+        const a = parseDate(expected);
+        const b = parseDate(actual);
+        if (a && b) return a === b;
+    }
+    return normalizeString(expected, schema) === normalizeString(actual, schema);
+}
+
+// Item schema of an array field, from the schema or guessed from the values
+const itemSchemaOf = (schema) => (schema && schema.items) || null;
+
+const holdsObjects = (schema, values) =>
+    typeOf(itemSchemaOf(schema)) === 'object' || values.some(isPlainObject);
+
+// Leaf comparisons of one value: [{ field, expected, actual, outcome }] where outcome is
+// "match", "wrong", "missing" (expected but not extracted), "extra" (extracted but not
+// expected) or "empty" (neither). `field` is the dotted path, array items as "[]".
+function compareValue(expected, actual, schema, field, options) {
+    if (isPlainObject(expected) || isPlainObject(actual) || typeOf(schema) === 'object') {
+        const exp = isPlainObject(expected) ? expected : {};
+        const act = isPlainObject(actual) ? actual : {};
+        const keys = new Set([...Object.keys((schema && schema.properties) || {}), ...Object.keys(exp), ...Object.keys(act)]);
+        return [...keys].flatMap(key => compareValue(exp[key], act[key], schema && schema.properties && schema.properties[key],
+            field ? `${field}.${key}` : key, options));
+    }
+
+    if (Array.isArray(expected) || Array.isArray(actual) || typeOf(schema) === 'array') {
+        const exp = Array.isArray(expected) ? expected : [];
+        const act = Array.isArray(actual) ? actual : [];
+        const itemSchema = itemSchemaOf(schema);
+        const itemField = `${field}[]`;
+
+        const pairs = holdsObjects(schema, [...exp, ...act])
+            ? alignRows(exp, act, itemSchema, options)
+            : alignValues(exp, act, itemSchema, options);
+        return pairs.flatMap(([e, a]) => compareValue(e, a, itemSchema, itemField, options));
+    }
+
+    const outcome = isEmpty(expected)
+        ? (isEmpty(actual) ? 'empty' : 'extra')
+        : isEmpty(actual) ? 'missing' : valuesMatch(expected, actual, schema, options) ? 'match' : 'wrong';
+    return [{ field, expected: expected ?? null, actual: actual ?? null, outcome }];
+}
+
+// Share of the expected row's filled fields that the extracted row got right
+function rowSimilarity(expected, actual, schema, options) {
+    const leaves = compareValue(expected, actual, schema, '', options).filter(l => l.outcome !== 'empty' && l.outcome !== 'extra');
+    return leaves.length ? leaves.filter(l => l.outcome === 'match').length / leaves.length : 0;
+}
+
+// Pairs expected and extracted rows, most similar first (closer positions win ties). Rows
+// without a counterpart are paired with undefined: all their fields count as missing/extra.
+function alignRows(expected, actual, schema, options) {
+    const candidates = [];
+    expected.forEach((e, i) => actual.forEach((a, j) => {
+        const score = rowSimilarity(e, a, schema, options);
+        if (score > 0) candidates.push({ i, j, score });
+    }));
+    candidates.sort((x, y) => y.score - x.score || Math.abs(x.i - x.j) - Math.abs(y.i - y.j));
+
+    const partnerOf = new Map();
+    const taken = new Set();
+    for (const { i, j } of candidates) {
+        if (partnerOf.has(i) || taken.has(j)) continue;
+        partnerOf.set(i, j);
+        taken.add(j);
+    }
+
+    return [
+        ...expected.map((e, i) => [e, partnerOf.has(i) ? actual[partnerOf.get(i)] : undefined]),
+        ...actual.filter((_, j) => !taken.has(j)).map(a => [undefined, a]),
+    ];
+}
+
+// Lists of scalars are compared as sets: order does not matter
+function alignValues(expected, actual, schema, options) {
+    const remaining = actual.map((value, j) => j);
+    const pairs = expected.map(e => {
+        const index = remaining.findIndex(j => !isEmpty(e) && !isEmpty(actual[j]) && valuesMatch(e, actual[j], schema, options));
+        return [e, index === -1 ? undefined : actual[remaining.splice(index, 1)[0]]];
+    });
+    return [...pairs, ...remaining.map(j => [undefined, actual[j]])];
+}
+
+/**
+ * Compares an extraction with its ground truth.
+ * @param {object} expected The labeled data.
+ * @param {object} actual The extracted data.
+ * @param {object|null} schema The docType's JSON schema (types, dates, stripSpaces), if known.
+ * @param {{tolerance?: number}} options
+ * @returns {Array<{field: string, expected: *, actual: *, outcome: string}>}
+ */
+function compareDocument(expected, actual, schema = null, options = {}) {
+    return compareValue(expected, actual, schema, '', options);
+}
+
+const emptyCounts = () => ({ compared: 0, match: 0, wrong: 0, missing: 0, extra: 0, empty: 0 });
+
+const ratio = (part, whole) => whole ? Math.round(part / whole * 10000) / 10000 : null;
+
+// precision = correct / extracted, recall = correct / expected, exactMatch = share of
+// comparisons where the extraction equals the ground truth (both empty included)
+function withRates(counts) {
+    const extracted = counts.match + counts.wrong + counts.extra;
+    const expected = counts.match + counts.wrong + counts.missing;
+    return {
+        ...counts,
+        precision: ratio(counts.match, extracted),
+        recall: ratio(counts.match, expected),
+        exactMatch: ratio(counts.match + counts.empty, counts.compared),
+    };
+}
+
+/**
+ * Aggregates compared documents into per-field and overall rates.
+ * @param {Array<Array<{field: string, outcome: string}>>} documents compareDocument() results.
+ * @returns {{overall: object, fields: Object<string, object>, exactDocuments: number, documents: number}}
+ */
+function summarize(documents) {
+    const overall = emptyCounts();
+    const fields = {};
+    for (const leaves of documents) {
+        for (const { field, outcome } of leaves) {
+            const counts = fields[field] || (fields[field] = emptyCounts());
+            for (const target of [counts, overall]) {
+                target.compared++;
+                target[outcome]++;
+            }
+        }
+    }
+
+    return {
+        documents: documents.length,
+        exactDocuments: documents.filter(leaves => leaves.every(l => l.outcome === 'match' || l.outcome === 'empty')).length,
+        overall: withRates(overall),
+        fields: Object.fromEntries(Object.entries(fields).sort(([a], [b]) => a.localeCompare(b)).map(([field, counts]) => [field, withRates(counts)])),
+    };
+}
+
+module.exports = { DEFAULT_TOLERANCE, compareDocument, summarize, valuesMatch, parseAmount, parseDate };
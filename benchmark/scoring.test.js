@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const formats = require('../src/lib/formats.js');
+const { parseAmount, parseDate, valuesMatch } = require('./scoring');
+
+test('amounts and dates are parsed by the app', () => {
+    assert.equal(parseAmount, formats.parseAmount);
+    assert.equal(parseDate, formats.parseDate);
+});
+
+test('valuesMatch compares numbers and dates as the app normalizes them', () => {
+    assert.equal(valuesMatch(1234.56, '1 234,56 EUR', { type: 'number' }), true);
+    assert.equal(valuesMatch(1234.56, '1,234.56', { type: 'number' }), true);
+    assert.equal(valuesMatch(1234.56, '1.234,50', { type: 'number' }), false);
+    assert.equal(valuesMatch('2024-03-01', '1. 3. 2024', { type: 'string', format: 'date' }), true);
+    assert.equal(valuesMatch('2024-03-01', '2024-01-03', { type: 'string', format: 'date' }), false);
+});
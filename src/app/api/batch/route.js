@@ -0,0 +1,77 @@
+import { NextResponse } from "next/server";
+import { resolveRecognizeOptions, readFormFields, toFlag, isEmpty } from "@/lib/recognize-request";
+import { expandBatchFiles, runBatch, BATCH_CONCURRENCY, BATCH_MAX_CONCURRENCY, BATCH_MAX_FILES } from "@/services/batch.service";
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+export const runtime = 'nodejs';
+
+export async function POST(req) {
+    try {
+        let files = [];
+        let fields;
+        const contentType = req.headers.get("content-type") || "";
+
+        if (contentType.includes("application/json")) {
+            const body = await req.json();
+
+            if (!Array.isArray(body.files) || body.files.some(f => !f || !f.file || !f.mimeType)) {
+                return NextResponse.json({ error: "JSON body must contain a files array of { file (base64), mimeType, fileName }" }, { status: 400 });
+            }
+
+            files = body.files.map((f, i) => ({
+                buffer: Buffer.from(f.file, 'base64'),
+                mimeType: f.mimeType,
+                name: f.fileName || `file-${i + 1}`,
+            }));
+            fields = body;
+
+        } else if (contentType.includes("multipart/form-data")) {
+            const formData = await req.formData();
+
+            for (const upload of formData.getAll("file")) {
+                if (typeof upload === "string") continue;
+                const arrayBuffer = await upload.arrayBuffer();
+                files.push({ buffer: Buffer.from(arrayBuffer), mimeType: upload.type, name: upload.name || `file-${files.length + 1}` });
+            }
+            fields = readFormFields(formData, ["concurrency", "includeCsv"]);
+
+        } else {
+            return NextResponse.json({ error: "Unsupported Content-Type. Use multipart/form-data or application/json" }, { status: 400 });
+        }
+
+        try {
+            files = expandBatchFiles(files);
+        } catch (e) {
+            return NextResponse.json({ error: e.message }, { status: 400 });
+        }
+
+        if (files.length === 0) {
+            return NextResponse.json({ error: "No documents found in the request" }, { status: 400 });
+        }
+        if (files.length > BATCH_MAX_FILES) {
+            return NextResponse.json({ error: `Too many documents (${files.length}), the limit is ${BATCH_MAX_FILES}` }, { status: 400 });
+        }
+
+        let concurrency = BATCH_CONCURRENCY;
+        if (!isEmpty(fields.concurrency)) {
+            concurrency = Number(fields.concurrency);
+            if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > BATCH_MAX_CONCURRENCY) {
+                return NextResponse.json({ error: `concurrency must be an integer between 1 and ${BATCH_MAX_CONCURRENCY}` }, { status: 400 });
+            }
+        }
+
+        const { options, error } = await resolveRecognizeOptions(fields);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const manifest = await runBatch(files, options, { concurrency, includeCsv: toFlag(fields.includeCsv, false) });
+
+        return NextResponse.json(manifest);
+
+    } catch (error) {
+        console.error("Error processing batch:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+import { exportResult, EXPORT_FORMATS } from "@/services/export.service";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A recognition response that is not stored (STORE_RESULTS=false) as a file:
+// { result, format, name?, sheetName? }. Nothing is recognized again.
+export async function POST(req) {
+    let body;
+    try {
+        body = await req.json();
+    } catch (e) {
+        return NextResponse.json({ error: "Invalid JSON body" }, { status: 400 });
+    }
+
+    const { result, format = "csv", name, sheetName } = isPlainObject(body) ? body : {};
+    if (!EXPORT_FORMATS.includes(format)) {
+        return NextResponse.json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` }, { status: 400 });
+    }
+    const documentsValid = isPlainObject(result) && Array.isArray(result.documents)
+        && result.documents.every(d => isPlainObject(d) && Array.isArray(d.pages));
+    if (!isPlainObject(result) || (!documentsValid && !("data" in result))) {
+        return NextResponse.json({ error: "result must be a recognition response with data or documents" }, { status: 400 });
+    }
+    if ((name !== undefined && typeof name !== 'string') || (sheetName !== undefined && typeof sheetName !== 'string')) {
+        return NextResponse.json({ error: "name and sheetName must be strings" }, { status: 400 });
+    }
+
+    try {
+        const file = exportResult(documentsValid ? result : { data: result.data }, format, { name, sheetName });
+        return new Response(file.body, {
+            headers: {
+                "Content-Type": file.contentType,
+                "Content-Disposition": `attachment; filename="${file.fileName}"`,
+            },
+        });
+    } catch (error) {
+        console.error("Error exporting result:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,25 @@
+import { NextResponse } from "next/server";
+import { getJob, cancelJob } from "@/services/job.service";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(req, { params }) {
+    const { id } = await params;
+    const job = await getJob(id);
+
+    if (!job) {
+        return NextResponse.json({ error: "Job not found" }, { status: 404 });
+    }
+    return NextResponse.json(job);
+}
+
+export async function DELETE(req, { params }) {
+    const { id } = await params;
+    const job = await cancelJob(id);
+
+    if (!job) {
+        return NextResponse.json({ error: "Job not found" }, { status: 404 });
+    }
+    return NextResponse.json(job);
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from "next/server";
+import { parseRecognizeRequest } from "@/lib/recognize-request";
+import { createJob } from "@/services/job.service";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function POST(req) {
+    try {
+        const { file, options, error } = await parseRecognizeRequest(req);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const job = await createJob(file, options);
+
+        return NextResponse.json(job, { status: 202, headers: { Location: `/api/jobs/${job.id}` } });
+    } catch (error) {
+        console.error("Error creating job:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,8 @@
+import { NextResponse } from 'next/server';
+import { listProviders } from '@/services/provider.service';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+    return NextResponse.json(listProviders());
+}
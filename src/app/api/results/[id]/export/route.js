@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { getResult } from "@/services/result-store.service";
+import { reviewedResult } from "@/services/review.service";
+import { exportResult, EXPORT_FORMATS } from "@/services/export.service";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// ?format=csv|xlsx|jsonl, the data with the latest review corrections
+export async function GET(req, { params }) {
+    const { id } = await params;
+    const format = req.nextUrl.searchParams.get("format") || "csv";
+    if (!EXPORT_FORMATS.includes(format)) {
+        return NextResponse.json({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` }, { status: 400 });
+    }
+
+    try {
+        const record = await getResult(id);
+        if (!record) {
+            return NextResponse.json({ error: "Result not found" }, { status: 404 });
+        }
+        const result = reviewedResult(record);
+        if (!result) {
+            return NextResponse.json({ error: "The recognition failed, there is no data to export" }, { status: 400 });
+        }
+
+        const { body, contentType, fileName } = exportResult(result, format, { name: record.file.name || id, sheetName: record.docType });
+        return new Response(body, {
+            headers: {
+                "Content-Type": contentType,
+                "Content-Disposition": `attachment; filename="${fileName}"`,
+            },
+        });
+    } catch (error) {
+        console.error("Error exporting result:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from "next/server";
+import { getReview, saveReview, readDocumentIndex } from "@/services/review.service";
+import { readAuthor, readJsonBody } from "@/lib/schema-request";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(req, { params }) {
+    const { id } = await params;
+    try {
+        const review = await getReview(id);
+        if (!review) {
+            return NextResponse.json({ error: "Result not found" }, { status: 404 });
+        }
+        return NextResponse.json(review);
+    } catch (error) {
+        console.error("Error loading review:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
+
+// Body: { status: "approved" | "rejected", data?, document?, comment?, author? }
+export async function POST(req, { params }) {
+    const { id } = await params;
+    try {
+        const { body, error } = await readJsonBody(req);
+        if (error || !body || typeof body !== 'object') {
+            return NextResponse.json({ error: error || "Invalid review" }, { status: 400 });
+        }
+        const document = readDocumentIndex(body.document);
+        if (document === undefined) {
+            return NextResponse.json({ error: "document must be the index of a document" }, { status: 400 });
+        }
+
+        const saved = await saveReview(id, {
+            document,
+            status: body.status,
+            data: body.data,
+            author: readAuthor(req, body),
+            comment: body.comment || null,
+        });
+        if (!saved) {
+            return NextResponse.json({ error: "Result not found" }, { status: 404 });
+        }
+        if (saved.error) {
+            return NextResponse.json(saved, { status: 400 });
+        }
+        return NextResponse.json(saved);
+    } catch (error) {
+        console.error("Error saving review:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { checkReview, readDocumentIndex } from "@/services/review.service";
+import { readJsonBody } from "@/lib/schema-request";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// Body: { data, document? }. Validates a correction without saving it.
+export async function POST(req, { params }) {
+    const { id } = await params;
+    try {
+        const { body, error } = await readJsonBody(req);
+        if (error || !body || typeof body !== 'object') {
+            return NextResponse.json({ error: error || "Invalid correction" }, { status: 400 });
+        }
+        const document = readDocumentIndex(body.document);
+        if (document === undefined) {
+            return NextResponse.json({ error: "document must be the index of a document" }, { status: 400 });
+        }
+
+        const checked = await checkReview(id, { document, data: body.data });
+        if (!checked) {
+            return NextResponse.json({ error: "Result not found" }, { status: 404 });
+        }
+        return NextResponse.json(checked, { status: checked.error ? 400 : 200 });
+    } catch (error) {
+        console.error("Error validating review:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from "next/server";
+import { getResult } from "@/services/result-store.service";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(req, { params }) {
+    const { id } = await params;
+    const result = await getResult(id);
+
+    if (!result) {
+        return NextResponse.json({ error: "Result not found" }, { status: 404 });
+    }
+    return NextResponse.json(result);
+}
@@ -0,0 +1,72 @@
+import { NextResponse } from "next/server";
+import { listResults, DEFAULT_RESULTS_LIMIT, MAX_RESULTS_LIMIT, REVIEW_STATUSES } from "@/services/result-store.service";
+import { isEmpty } from "@/lib/recognize-request";
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+const STATUSES = ["completed", "failed"];
+
+// Reads the list filters from the query string. Returns { filters } or { error }.
+function readFilters(searchParams) {
+    const get = (name) => searchParams.get(name);
+
+    const limit = isEmpty(get("limit")) ? DEFAULT_RESULTS_LIMIT : Number(get("limit"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_RESULTS_LIMIT}` };
+    }
+    const offset = isEmpty(get("offset")) ? 0 : Number(get("offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+        return { error: "offset must be a non-negative integer" };
+    }
+
+    const status = get("status") || null;
+    if (status && !STATUSES.includes(status)) {
+        return { error: `status must be one of: ${STATUSES.join(", ")}` };
+    }
+    const reviewStatus = get("reviewStatus") || null;
+    if (reviewStatus && !REVIEW_STATUSES.includes(reviewStatus)) {
+        return { error: `reviewStatus must be one of: ${REVIEW_STATUSES.join(", ")}` };
+    }
+    const valid = get("valid");
+    if (!isEmpty(valid) && valid !== "true" && valid !== "false") {
+        return { error: "valid must be true or false" };
+    }
+
+    // from/to accept anything Date understands and compare as ISO timestamps
+    const dates = {};
+    for (const name of ["from", "to"]) {
+        if (isEmpty(get(name))) continue;
+        const time = Date.parse(get(name));
+        if (Number.isNaN(time)) return { error: `${name} must be a date` };
+        dates[name] = new Date(time).toISOString();
+    }
+
+    return {
+        filters: {
+            docType: get("docType") || null,
+            provider: get("provider") || null,
+            status,
+            valid: isEmpty(valid) ? null : valid === "true",
+            reviewStatus,
+            sha256: get("sha256") || null,
+            fileName: get("fileName") || null,
+            ...dates,
+            limit,
+            offset,
+        },
+    };
+}
+
+export async function GET(req) {
+    try {
+        const { filters, error } = readFilters(req.nextUrl.searchParams);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+        return NextResponse.json(await listResults(filters));
+    } catch (error) {
+        console.error("Error listing results:", error);
+        return NextResponse.json({ error: error.message || "Internal server error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { diffPromptVersions } from '@/services/prompt-store.service';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// ?from=N[&to=M], `to` defaults to the current version
+export async function GET(req, { params }) {
+    const { docType } = await params;
+    const from = req.nextUrl.searchParams.get('from');
+    const to = req.nextUrl.searchParams.get('to');
+
+    if (!from) {
+        return NextResponse.json({ error: 'Missing "from" version' }, { status: 400 });
+    }
+
+    const diff = await diffPromptVersions(docType, from, to || null);
+    if (!diff) {
+        return NextResponse.json({ error: 'Prompts version not found' }, { status: 404 });
+    }
+    return NextResponse.json(diff);
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { getPromptsVersion, savePrompts, deletePrompts, checkPromptsForSave, promptKeys } from '@/services/prompt-store.service';
+import { isValidDocType } from '@/services/schema-store.service';
+import { DEFAULT_PROMPT_TEMPLATE, PROMPT_VARIABLES } from '@/services/prompt.service';
+import { readAuthor, readJsonBody } from '@/lib/schema-request';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// What editors need besides the stored templates
+const promptInfo = () => ({ keys: promptKeys(), variables: PROMPT_VARIABLES, defaultTemplate: DEFAULT_PROMPT_TEMPLATE });
+
+// Current templates, or ?version=N. A docType without stored templates has { version: null, prompts: {} }.
+export async function GET(req, { params }) {
+    const { docType } = await params;
+    const version = req.nextUrl.searchParams.get('version');
+
+    const entry = await getPromptsVersion(docType, version || null);
+    if (!entry && version) {
+        return NextResponse.json({ error: `Prompts of "${docType}" have no version ${version}` }, { status: 404 });
+    }
+    return NextResponse.json({ docType, ...(entry || { version: null, prompts: {} }), ...promptInfo() });
+}
+
+// Body: { prompts: { default?, <provider id>?: template }, message?, author? }
+export async function PUT(req, { params }) {
+    const { docType } = await params;
+    if (!isValidDocType(docType)) {
+        return NextResponse.json({ error: 'Document type may only contain letters, digits, "-" and "_" (max. 64), "auto" is reserved' }, { status: 400 });
+    }
+
+    try {
+        const { body, error } = await readJsonBody(req);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const promptsError = checkPromptsForSave(body && body.prompts);
+        if (promptsError) {
+            return NextResponse.json({ error: promptsError }, { status: 400 });
+        }
+
+        const entry = await savePrompts(docType, body.prompts, { author: readAuthor(req, body), message: body.message || null });
+        const status = entry.version === 1 && !entry.unchanged ? 201 : 200;
+        return NextResponse.json({ docType, ...entry }, { status });
+    } catch (error) {
+        console.error('Error saving prompts:', error);
+        return NextResponse.json({ error: 'Failed to save prompts' }, { status: 500 });
+    }
+}
+
+// Back to DEFAULT_PROMPT_TEMPLATE; the history is kept
+export async function DELETE(req, { params }) {
+    const { docType } = await params;
+
+    try {
+        const entry = isValidDocType(docType)
+            ? await deletePrompts(docType, { author: readAuthor(req, null), message: req.nextUrl.searchParams.get('message') })
+            : null;
+        if (!entry) {
+            return NextResponse.json({ error: 'Prompts not found' }, { status: 404 });
+        }
+        return NextResponse.json({ docType, ...entry });
+    } catch (error) {
+        console.error('Error deleting prompts:', error);
+        return NextResponse.json({ error: 'Failed to delete prompts' }, { status: 500 });
+    }
+}
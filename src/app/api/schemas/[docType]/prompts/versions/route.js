@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { listPromptVersions } from '@/services/prompt-store.service';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(req, { params }) {
+    const { docType } = await params;
+    const versions = await listPromptVersions(docType);
+
+    if (!versions) {
+        return NextResponse.json({ error: 'Prompts not found' }, { status: 404 });
+    }
+    return NextResponse.json({ docType, versions });
+}
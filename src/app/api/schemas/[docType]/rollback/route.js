@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { rollbackSchema, isValidDocType } from '@/services/schema-store.service';
+import { readAuthor, readJsonBody } from '@/lib/schema-request';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// Body: { version, message?, author? }
+export async function POST(req, { params }) {
+    const { docType } = await params;
+
+    try {
+        const { body, error } = await readJsonBody(req);
+        if (error || !body || !Number.isInteger(Number(body.version))) {
+            return NextResponse.json({ error: error || 'Missing version to roll back to' }, { status: 400 });
+        }
+
+        const entry = isValidDocType(docType)
+            ? await rollbackSchema(docType, body.version, { author: readAuthor(req, body), message: body.message || null })
+            : null;
+        if (!entry) {
+            return NextResponse.json({ error: `Schema "${docType}" has no version ${body.version}` }, { status: 404 });
+        }
+        return NextResponse.json({ docType, ...entry });
+    } catch (error) {
+        console.error('Error rolling back schema:', error);
+        return NextResponse.json({ error: 'Failed to roll back schema' }, { status: 500 });
+    }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from 'next/server';
+import { getSchemaVersion, saveSchema, deleteSchema, isValidDocType } from '@/services/schema-store.service';
+import { readAuthor, readJsonBody, readSchemaProviders, checkSchemaForSave } from '@/lib/schema-request';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// Current version, or ?version=N
+export async function GET(req, { params }) {
+    const { docType } = await params;
+    const version = req.nextUrl.searchParams.get('version');
+
+    const entry = await getSchemaVersion(docType, version || null);
+    if (!entry) {
+        return NextResponse.json({ error: version ? `Schema "${docType}" has no version ${version}` : 'Schema not found' }, { status: 404 });
+    }
+    return NextResponse.json({ docType, ...entry });
+}
+
+// Body: { schema, message?, author?, providers? }. Creates the schema or a new version of it.
+// With a strict structured output provider in `providers`, strict mode issues block the save.
+export async function PUT(req, { params }) {
+    const { docType } = await params;
+    if (!isValidDocType(docType)) {
+        return NextResponse.json({ error: 'Document type may only contain letters, digits, "-" and "_" (max. 64), "auto" is reserved' }, { status: 400 });
+    }
+
+    try {
+        const { body, error } = await readJsonBody(req);
+        if (error) {
+            return NextResponse.json({ error }, { status: 400 });
+        }
+
+        const { providers, error: providersError } = readSchemaProviders(body && body.providers);
+        if (providersError) {
+            return NextResponse.json({ error: providersError }, { status: 400 });
+        }
+
+        const lint = checkSchemaForSave(body && body.schema, providers);
+        if (lint.error) {
+            return NextResponse.json(lint, { status: 400 });
+        }
+
+        const entry = await saveSchema(docType, body.schema, { author: readAuthor(req, body), message: body.message || null });
+        const status = entry.version === 1 && !entry.unchanged ? 201 : 200;
+        return NextResponse.json({ docType, ...entry, warnings: lint.warnings }, { status });
+    } catch (error) {
+        console.error('Error saving schema:', error);
+        return NextResponse.json({ error: 'Failed to save schema' }, { status: 500 });
+    }
+}
+
+export async function DELETE(req, { params }) {
+    const { docType } = await params;
+
+    try {
+        const entry = isValidDocType(docType)
+            ? await deleteSchema(docType, { author: readAuthor(req, null), message: req.nextUrl.searchParams.get('message') })
+            : null;
+        if (!entry) {
+            return NextResponse.json({ error: 'Schema not found' }, { status: 404 });
+        }
+        return NextResponse.json({ docType, ...entry });
+    } catch (error) {
+        console.error('Error deleting schema:', error);
+        return NextResponse.json({ error: 'Failed to delete schema' }, { status: 500 });
+    }
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { readJsonBody, readSchemaProviders, checkSchemaForSave } from '@/lib/schema-request';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+// Body: { schema, providers? }. Runs the checks of PUT without saving.
+export async function POST(req) {
+    const { body, error } = await readJsonBody(req);
+    if (error) {
+        return NextResponse.json({ error }, { status: 400 });
+    }
+    const { providers, error: providersError } = readSchemaProviders(body && body.providers);
+    if (providersError) {
+        return NextResponse.json({ error: providersError }, { status: 400 });
+    }
+
+    const { errors, warnings } = checkSchemaForSave(body && body.schema, providers);
+    return NextResponse.json({ valid: errors.length === 0, errors, warnings });
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { listSchemaVersions } from '@/services/schema-store.service';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+
+export async function GET(req, { params }) {
+    const { docType } = await params;
+    const versions = await listSchemaVersions(docType);
+
+    if (!versions) {
+        return NextResponse.json({ error: 'Schema not found' }, { status: 404 });
+    }
+    return NextResponse.json({ docType, versions });
+}
@@ -1,13 +1,13 @@
 import { NextResponse } from 'next/server';
-import fs from 'fs/promises';
-import path from 'path';
+import { getSchemas, saveSchema, isValidDocType } from '@/services/schema-store.service';
+import { readAuthor, readJsonBody, readSchemaProviders, checkSchemaForSave } from '@/lib/schema-request';
 
-const dataFilePath = path.join(process.cwd(), 'src/data/schemas.json');
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
 
 export async function GET() {
     try {
-        const fileContent = await fs.readFile(dataFilePath, 'utf8');
-        const schemas = JSON.parse(fileContent);
+        const schemas = await getSchemas();
         return NextResponse.json(schemas);
     } catch (error) {
         console.error('Error reading schemas:', error);
@@ -15,17 +15,41 @@ export async function GET() {
     }
 }
 
+// Saves several schemas at once ({ docType: schema, ... }), each as a new version.
+// Document types missing from the body are left alone; use DELETE /api/schemas/:docType.
+// ?providers=openai,... as `providers` of PUT /api/schemas/:docType.
 export async function POST(req) {
     try {
-        const newSchemas = await req.json();
-
-        // Basic validation: ensure it's an object and has keys
-        if (!newSchemas || typeof newSchemas !== 'object') {
+        const { body: newSchemas, error } = await readJsonBody(req);
+        if (error || !newSchemas || typeof newSchemas !== 'object' || Array.isArray(newSchemas)) {
             return NextResponse.json({ error: 'Invalid schema data' }, { status: 400 });
         }
+        const { providers, error: providersError } = readSchemaProviders(req.nextUrl.searchParams.get('providers'));
+        if (providersError) {
+            return NextResponse.json({ error: providersError }, { status: 400 });
+        }
+
+        // Validate everything first so a bad entry saves nothing
+        const warnings = {};
+        for (const [docType, schema] of Object.entries(newSchemas)) {
+            if (!isValidDocType(docType)) {
+                return NextResponse.json({ error: `Invalid document type "${docType}"` }, { status: 400 });
+            }
+            const lint = checkSchemaForSave(schema, providers);
+            if (lint.error) {
+                return NextResponse.json({ ...lint, error: `${docType}: ${lint.error}`, docType }, { status: 400 });
+            }
+            warnings[docType] = lint.warnings;
+        }
+
+        const author = readAuthor(req, null);
+        const saved = [];
+        for (const [docType, schema] of Object.entries(newSchemas)) {
+            const version = await saveSchema(docType, schema, { author });
+            saved.push({ docType, version: version.version, unchanged: Boolean(version.unchanged), warnings: warnings[docType] });
+        }
 
-        await fs.writeFile(dataFilePath, JSON.stringify(newSchemas, null, 2), 'utf8');
-        return NextResponse.json({ success: true, schemas: newSchemas });
+        return NextResponse.json({ success: true, saved, schemas: await getSchemas() });
     } catch (error) {
         console.error('Error saving schemas:', error);
         return NextResponse.json({ error: 'Failed to save schemas' }, { status: 500 });
@@ -1,13 +1,15 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import ReviewPanel from '@/components/ReviewPanel';
 import styles from './page.module.css';
 
 export default function Home() {
   const [file, setFile] = useState(null);
   const [previewUrl, setPreviewUrl] = useState(null);
   const [docType, setDocType] = useState('invoice');
-  const [modelProvider, setModelProvider] = useState('gemini'); // 'gemini' or 'openai' or 'azure-openai'
+  const [modelProvider, setModelProvider] = useState('gemini');
+  const [providers, setProviders] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [result, setResult] = useState(null);
   const [dragActive, setDragActive] = useState(false);
@@ -15,9 +17,18 @@ export default function Home() {
   // Advanced Configuration State
   const [allSchemas, setAllSchemas] = useState({});
   const [customSchema, setCustomSchema] = useState('');
+  // Stored schema as loaded into the editor; unchanged schemas are sent by version, not content
+  const [storedSchema, setStoredSchema] = useState('');
+  const [schemaVersions, setSchemaVersions] = useState([]);
+  const [schemaVersion, setSchemaVersion] = useState('');
   const [customPrompt, setCustomPrompt] = useState('');
+  // Stored templates of the docType, shown as the placeholder of the prompt override
+  const [promptInfo, setPromptInfo] = useState({ prompts: {}, defaultTemplate: '' });
   const [enforceSchema, setEnforceSchema] = useState(true);
+  const [includeMetadata, setIncludeMetadata] = useState(false);
+  const [splitDocuments, setSplitDocuments] = useState(false);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [downloading, setDownloading] = useState(null);
 
   // Load schemas on mount
   useEffect(() => {
@@ -27,28 +38,71 @@ export default function Home() {
         setAllSchemas(data);
         if (data[docType]) {
           setCustomSchema(JSON.stringify(data[docType], null, 2));
+          setStoredSchema(JSON.stringify(data[docType], null, 2));
         }
       })
       .catch((err) => console.error('Failed to load schemas', err));
+
+    fetch('/api/providers')
+      .then((res) => res.json())
+      .then((data) => {
+        setProviders(data);
+        // Fall back to the first configured provider if the default one has no credentials
+        const current = data.find((p) => p.id === modelProvider);
+        if (!current || !current.configured) {
+          const firstConfigured = data.find((p) => p.configured);
+          if (firstConfigured) setModelProvider(firstConfigured.id);
+        }
+      })
+      .catch((err) => console.error('Failed to load providers', err));
   }, []);
 
+  const selectedProvider = providers.find((p) => p.id === modelProvider);
+  // Stored results are reviewed next to the preview instead of shown as JSON only
+  const reviewing = Boolean(result && result.resultId);
+  const supportsStrictSchema = selectedProvider ? selectedProvider.capabilities.strictJsonSchema : true;
+
   // Update schema editor when docType changes
   useEffect(() => {
     if (allSchemas[docType]) {
       setCustomSchema(JSON.stringify(allSchemas[docType], null, 2));
+      setStoredSchema(JSON.stringify(allSchemas[docType], null, 2));
     }
-    
-    // Set default custom prompt with placeholder
-    const defaultText = `You are an expert document parser. Please extract information from this ${docType} and return it in JSON format.
+    setSchemaVersion('');
+    setSchemaVersions([]);
+    fetch(`/api/schemas/${docType}/versions`)
+      .then((res) => (res.ok ? res.json() : { versions: [] }))
+      .then((data) => setSchemaVersions(data.versions.filter((v) => v.action !== 'delete')))
+      .catch((err) => console.error('Failed to load schema versions', err));
 
-Strictly follow this JSON schema:
-{{schema}}
-
-Return ONLY the JSON object.`;
-    setCustomPrompt(defaultText);
-    
+    fetch(`/api/schemas/${docType}/prompts`)
+      .then((res) => res.json())
+      .then((data) => setPromptInfo({ prompts: data.prompts || {}, defaultTemplate: data.defaultTemplate || '' }))
+      .catch((err) => console.error('Failed to load prompt templates', err));
   }, [docType, allSchemas]);
 
+  const storedPrompt = promptInfo.prompts[modelProvider] || promptInfo.prompts.default || promptInfo.defaultTemplate;
+
+  // Pin an older schema version: load it into the editor
+  const handleSchemaVersionChange = async (version) => {
+    setSchemaVersion(version);
+    if (!version) {
+      const current = JSON.stringify(allSchemas[docType], null, 2);
+      setCustomSchema(current);
+      setStoredSchema(current);
+      return;
+    }
+    try {
+      const res = await fetch(`/api/schemas/${docType}?version=${version}`);
+      const data = await res.json();
+      const pinned = JSON.stringify(data.schema, null, 2);
+      setCustomSchema(pinned);
+      setStoredSchema(pinned);
+    } catch (err) {
+      console.error('Failed to load schema version', err);
+    }
+  };
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -92,8 +146,16 @@ Return ONLY the JSON object.`;
     
     // Advanced params
     formData.append('enforceJsonSchema', enforceSchema.toString());
+    formData.append('includeMetadata', includeMetadata.toString());
+    if (splitDocuments) formData.append('split', 'true');
     if (customPrompt.trim()) formData.append('customPrompt', customPrompt);
-    if (customSchema.trim()) formData.append('customSchema', customSchema);
+    if (docType === 'auto') {
+      // The schema of the detected type is used
+    } else if (customSchema.trim() && customSchema !== storedSchema) {
+      formData.append('customSchema', customSchema);
+    } else if (schemaVersion) {
+      formData.append('schemaVersion', schemaVersion);
+    }
 
     try {
       const response = await fetch('/api/recognize', {
@@ -111,6 +173,42 @@ Return ONLY the JSON object.`;
     }
   };
 
+  // Without a stored result (STORE_RESULTS=false) the result on screen is posted to the export route
+  const handleDownload = async (format) => {
+    setDownloading(format);
+    try {
+      const response = await fetch('/api/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          result,
+          format,
+          name: file ? file.name : undefined,
+          sheetName: result.classification ? result.classification.docType : docType,
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      const disposition = response.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `result.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error:', error);
+      alert(`Failed to download the result: ${error.message}`);
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const downloadFormats = [['csv', 'CSV'], ['xlsx', 'Excel'], ['jsonl', 'JSON Lines']];
+
   return (
     <main className={styles.main}>
       <div className="container">
@@ -119,6 +217,9 @@ Return ONLY the JSON object.`;
           <p className={styles.subtitle}>
             Intelligent parsing for your financial documents using multimodal AI.
           </p>
+          <div style={{ marginTop: '1rem' }}>
+            <a href="/results" className="btn" style={{ background: 'rgba(255,255,255,0.1)' }}>History</a>
+          </div>
         </header>
 
         <div className={styles.grid}>
@@ -127,7 +228,7 @@ Return ONLY the JSON object.`;
             <div className="glass-panel" style={{ padding: '2rem' }}>
               <h2>1. Select Document Type</h2>
               <div className={styles.typeGrid}>
-                {['invoice', 'bankStatement', 'loanContract', 'drawdown'].map((type) => (
+                {Object.keys(allSchemas).map((type) => (
                   <button
                     key={type}
                     className={`${styles.typeBtn} ${docType === type ? styles.active : ''}`}
@@ -136,28 +237,28 @@ Return ONLY the JSON object.`;
                     {type.replace(/([A-Z])/g, ' $1').replace(/^./, (str) => str.toUpperCase())}
                   </button>
                 ))}
+                <button
+                  className={`${styles.typeBtn} ${docType === 'auto' ? styles.active : ''}`}
+                  onClick={() => setDocType('auto')}
+                  title="Classify the document first, then extract with the schema of the detected type"
+                >
+                  Auto-detect
+                </button>
               </div>
 
               <h2 style={{ marginTop: '2rem' }}>2. Select AI Model</h2>
               <div className={styles.typeGrid}>
-                <button
-                  className={`${styles.typeBtn} ${modelProvider === 'gemini' ? styles.active : ''}`}
-                  onClick={() => setModelProvider('gemini')}
-                >
-                  Gemini 2.5 Flash
-                </button>
-                <button
-                  className={`${styles.typeBtn} ${modelProvider === 'openai' ? styles.active : ''}`}
-                  onClick={() => setModelProvider('openai')}
-                >
-                  OpenAI GPT-5
-                </button>
-                <button
-                  className={`${styles.typeBtn} ${modelProvider === 'azure-openai' ? styles.active : ''}`}
-                  onClick={() => setModelProvider('azure-openai')}
-                >
-                  Azure OpenAI
-                </button>
+                {providers.map((provider) => (
+                  <button
+                    key={provider.id}
+                    className={`${styles.typeBtn} ${modelProvider === provider.id ? styles.active : ''}`}
+                    onClick={() => setModelProvider(provider.id)}
+                    disabled={!provider.configured}
+                    title={provider.configured ? undefined : 'Not configured on the server'}
+                  >
+                    {provider.label}
+                  </button>
+                ))}
               </div>
 
               {/* Advanced Settings Toggle */}
@@ -178,34 +279,70 @@ Return ONLY the JSON object.`;
                               Strict Schema Enforcement
                           </label>
                           <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: modelProvider === 'gemini' ? '#64748b' : '#f8fafc', cursor: modelProvider === 'gemini' ? 'not-allowed' : 'pointer' }}>
+                              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: supportsStrictSchema ? '#f8fafc' : '#64748b', cursor: supportsStrictSchema ? 'pointer' : 'not-allowed' }}>
                                   <input 
                                       type="checkbox" 
                                       checked={enforceSchema} 
                                       onChange={(e) => setEnforceSchema(e.target.checked)}
-                                      disabled={modelProvider === 'gemini'}
+                                      disabled={!supportsStrictSchema}
                                       style={{ accentColor: '#38bdf8', width: '1.2rem', height: '1.2rem' }}
                                   />
                                   <span>Enforce Strict JSON Schema Output</span>
                               </label>
-                              {modelProvider === 'gemini' && <span style={{fontSize: '0.8rem', color: '#eab308'}}>(Not supported on Gemini)</span>}
+                              {!supportsStrictSchema && <span style={{fontSize: '0.8rem', color: '#eab308'}}>(Not supported on {selectedProvider.label})</span>}
                           </div>
                           <p style={{ fontSize: '0.8rem', color: '#64748b', marginTop: '0.25rem' }}>
                               Uncheck to allow the model more freedom (useful for complex reasoning before JSON generation).
                           </p>
                       </div>
 
+                      <div style={{ marginBottom: '1rem' }}>
+                          <label style={{ display: 'block', color: '#94a3b8', marginBottom: '0.5rem', fontSize: '0.9rem' }}>
+                              Field Metadata
+                          </label>
+                          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#f8fafc', cursor: 'pointer' }}>
+                              <input
+                                  type="checkbox"
+                                  checked={includeMetadata}
+                                  onChange={(e) => setIncludeMetadata(e.target.checked)}
+                                  style={{ accentColor: '#38bdf8', width: '1.2rem', height: '1.2rem' }}
+                              />
+                              <span>Include Confidence &amp; Source Locations</span>
+                          </label>
+                          <p style={{ fontSize: '0.8rem', color: '#64748b', marginTop: '0.25rem' }}>
+                              Returns per-field confidence, page number and source text (bounding boxes where the model supports them).
+                          </p>
+                      </div>
+
+                      <div style={{ marginBottom: '1rem' }}>
+                          <label style={{ display: 'block', color: '#94a3b8', marginBottom: '0.5rem', fontSize: '0.9rem' }}>
+                              Multi-Document PDF
+                          </label>
+                          <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#f8fafc', cursor: 'pointer' }}>
+                              <input
+                                  type="checkbox"
+                                  checked={splitDocuments}
+                                  onChange={(e) => setSplitDocuments(e.target.checked)}
+                                  style={{ accentColor: '#38bdf8', width: '1.2rem', height: '1.2rem' }}
+                              />
+                              <span>Split into Separate Documents</span>
+                          </label>
+                          <p style={{ fontSize: '0.8rem', color: '#64748b', marginTop: '0.25rem' }}>
+                              Classifies every page, cuts the file where a new document starts and extracts each one on its own (with the schema of its detected type when using Auto-detect).
+                          </p>
+                      </div>
+
                       <div style={{ marginBottom: '1rem' }}>
                           <label style={{ display: 'block', color: '#94a3b8', marginBottom: '0.5rem', fontSize: '0.9rem' }}>
                               Custom System Prompt
                           </label>
                           <p style={{ fontSize: '0.8rem', color: '#64748b', marginBottom: '0.5rem' }}>
-                            Use <code>{`{{schema}}`}</code> as a placeholder for the JSON schema.
+                            Leave empty to use the stored template of this document type (editable in the Schema Editor). Use <code>{`{{schema}}`}</code> and <code>{`{{docType}}`}</code> as placeholders.
                           </p>
                           <textarea
                               value={customPrompt}
                               onChange={(e) => setCustomPrompt(e.target.value)}
-                              placeholder="Override the default system prompt..."
+                              placeholder={storedPrompt || 'Override the default system prompt...'}
                               style={{ 
                                   width: '100%', 
                                   height: '150px', 
@@ -222,8 +359,20 @@ Return ONLY the JSON object.`;
                       </div>
 
                       <div style={{ marginBottom: '1rem' }}>
-                          <label style={{ display: 'block', color: '#94a3b8', marginBottom: '0.5rem', fontSize: '0.9rem' }}>
-                              JSON Schema
+                          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: '#94a3b8', marginBottom: '0.5rem', fontSize: '0.9rem' }}>
+                              <span>JSON Schema</span>
+                              <select
+                                  value={schemaVersion}
+                                  onChange={(e) => handleSchemaVersionChange(e.target.value)}
+                                  style={{ background: 'rgba(0,0,0,0.3)', color: '#e2e8f0', border: '1px solid rgba(255,255,255,0.1)', borderRadius: '0.25rem', padding: '0.25rem' }}
+                              >
+                                  <option value="">Current version</option>
+                                  {schemaVersions.map((v) => (
+                                      <option key={v.version} value={v.version}>
+                                          v{v.version} · {v.author} · {new Date(v.createdAt).toLocaleDateString()}
+                                      </option>
+                                  ))}
+                              </select>
                           </label>
                           <textarea
                               value={customSchema}
@@ -289,7 +438,7 @@ Return ONLY the JSON object.`;
 
           {/* Right Column: Preview & Results */}
           <div className={styles.results}>
-            {previewUrl && (
+            {previewUrl && !reviewing && (
               <div className="glass-panel" style={{ padding: '1rem', marginBottom: '1rem' }}>
                 <h3 className={styles.panelTitle}>Document Preview</h3>
                 <div className={styles.previewContainer}>
@@ -305,13 +454,64 @@ Return ONLY the JSON object.`;
             {result && (
               <div className="glass-panel" style={{ padding: '1rem', animation: 'fadeIn 0.5s ease' }}>
                 <h3 className={styles.panelTitle}>Analysis Result</h3>
-                <pre className={styles.jsonResult}>
-                  {JSON.stringify(result, null, 2)}
-                </pre>
+                {reviewing ? (
+                  <>
+                    <p style={{ fontSize: '0.8rem', color: '#64748b', marginBottom: '0.5rem' }}>
+                      Saved to the <a href={`/results?id=${result.resultId}`} style={{ color: '#38bdf8' }}>history</a>. Review and correct it below.
+                    </p>
+                    {/* Exports of the stored result, with the saved review corrections */}
+                    <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                      {downloadFormats.map(([format, label]) => (
+                        <a
+                          key={format}
+                          href={`/api/results/${result.resultId}/export?format=${format}`}
+                          download
+                          className="btn"
+                          style={{ background: 'rgba(255,255,255,0.1)', fontSize: '0.8rem', padding: '0.4rem 0.8rem' }}
+                        >
+                          Download {label}
+                        </a>
+                      ))}
+                    </div>
+                    <details>
+                      <summary style={{ cursor: 'pointer', color: '#94a3b8' }}>Raw JSON</summary>
+                      <pre className={styles.jsonResult}>
+                        {JSON.stringify(result, null, 2)}
+                      </pre>
+                    </details>
+                  </>
+                ) : (
+                  <>
+                    {(result.data || result.documents) && (
+                      <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                        {downloadFormats.map(([format, label]) => (
+                          <button
+                            key={format}
+                            onClick={() => handleDownload(format)}
+                            disabled={Boolean(downloading)}
+                            className="btn"
+                            style={{ background: 'rgba(255,255,255,0.1)', fontSize: '0.8rem', padding: '0.4rem 0.8rem' }}
+                          >
+                            {downloading === format ? 'Preparing...' : `Download ${label}`}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <pre className={styles.jsonResult}>
+                      {JSON.stringify(result, null, 2)}
+                    </pre>
+                  </>
+                )}
               </div>
             )}
           </div>
         </div>
+
+        {reviewing && (
+          <div style={{ marginTop: '2rem' }}>
+            <ReviewPanel resultId={result.resultId} previewUrl={previewUrl} fileType={file && file.type} />
+          </div>
+        )}
       </div>
     </main>
   );
@@ -0,0 +1,272 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import styles from '../page.module.css'; // Reuse main styles for consistency
+import ReviewPanel from '@/components/ReviewPanel';
+
+const inputStyle = {
+    background: 'rgba(15, 23, 42, 0.8)',
+    color: '#e2e8f0',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '0.5rem',
+    padding: '0.5rem 0.75rem',
+};
+
+const smallButtonStyle = { padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: 'rgba(255,255,255,0.1)' };
+
+const cellStyle = { padding: '0.5rem', borderBottom: '1px solid rgba(255,255,255,0.05)', textAlign: 'left' };
+
+const statusColors = { completed: '#86efac', failed: '#fca5a5', pending: '#fde68a', approved: '#86efac', rejected: '#fca5a5' };
+
+const PAGE_SIZE = 25;
+
+const emptyFilters = { docType: '', provider: '', status: '', valid: '', reviewStatus: '', fileName: '', from: '', to: '' };
+
+const formatDocType = (summary) =>
+    summary.documentTypes ? `${summary.docType} → ${summary.documentTypes.join(', ') || '–'}` : summary.docType;
+
+export default function ResultHistory() {
+    const [filters, setFilters] = useState(emptyFilters);
+    const [page, setPage] = useState({ total: 0, offset: 0, results: [] });
+    const [providers, setProviders] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        fetch('/api/providers')
+            .then((res) => res.json())
+            .then((data) => setProviders(data))
+            .catch((err) => console.error('Failed to load providers', err));
+
+        // /results?id=... opens a result directly (linked from the recognizer)
+        const id = new URLSearchParams(window.location.search).get('id');
+        if (id) openResult(id);
+        fetchResults(emptyFilters, 0);
+    }, []);
+
+    const fetchResults = async (activeFilters, offset) => {
+        setIsLoading(true);
+        setError(null);
+        const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+        for (const [name, value] of Object.entries(activeFilters)) {
+            if (value) params.set(name, value);
+        }
+        // The "to" day is included
+        if (activeFilters.to) params.set('to', `${activeFilters.to}T23:59:59.999Z`);
+        try {
+            const res = await fetch(`/api/results?${params}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load results');
+            setPage(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const openResult = async (id) => {
+        try {
+            const res = await fetch(`/api/results/${id}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load result');
+            setSelected(data);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const updateFilter = (name, value) => setFilters({ ...filters, [name]: value });
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        fetchResults(filters, 0);
+    };
+
+    const handleReset = () => {
+        setFilters(emptyFilters);
+        fetchResults(emptyFilters, 0);
+    };
+
+    const lastShown = Math.min(page.offset + page.results.length, page.total);
+
+    return (
+        <main className={styles.main}>
+            <div className="container">
+                <header className={styles.header}>
+                    <h1>Recognition History</h1>
+                    <p className={styles.subtitle}>
+                        Every recognition with its file, options, raw model output and result.
+                    </p>
+                    <div style={{ marginTop: '1rem' }}>
+                        <a href="/" className="btn" style={{ background: 'rgba(255,255,255,0.1)' }}>← Back to Recognizer</a>
+                    </div>
+                </header>
+
+                <div className="glass-panel" style={{ padding: '2rem', marginBottom: '1rem' }}>
+                    <form onSubmit={handleSearch} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '1.5rem' }}>
+                        <input
+                            value={filters.fileName}
+                            onChange={(e) => updateFilter('fileName', e.target.value)}
+                            placeholder="File name"
+                            style={inputStyle}
+                        />
+                        <input
+                            value={filters.docType}
+                            onChange={(e) => updateFilter('docType', e.target.value)}
+                            placeholder="Document type"
+                            style={inputStyle}
+                        />
+                        <select value={filters.provider} onChange={(e) => updateFilter('provider', e.target.value)} style={inputStyle}>
+                            <option value="">All providers</option>
+                            {providers.map((p) => (
+                                <option key={p.id} value={p.id}>{p.label}</option>
+                            ))}
+                        </select>
+                        <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} style={inputStyle}>
+                            <option value="">Any status</option>
+                            <option value="completed">Completed</option>
+                            <option value="failed">Failed</option>
+                        </select>
+                        <select value={filters.valid} onChange={(e) => updateFilter('valid', e.target.value)} style={inputStyle}>
+                            <option value="">Valid or not</option>
+                            <option value="true">Matches schema</option>
+                            <option value="false">Does not match</option>
+                        </select>
+                        <select value={filters.reviewStatus} onChange={(e) => updateFilter('reviewStatus', e.target.value)} style={inputStyle}>
+                            <option value="">Any review</option>
+                            <option value="pending">Not reviewed</option>
+                            <option value="approved">Approved</option>
+                            <option value="rejected">Rejected</option>
+                        </select>
+                        <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} style={inputStyle} title="From" />
+                        <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} style={inputStyle} title="To" />
+                        <button type="submit" className="btn btn-primary">Search</button>
+                        <button type="button" className="btn" onClick={handleReset} style={{ background: 'rgba(255,255,255,0.1)' }}>Reset</button>
+                    </form>
+
+                    {error && (
+                        <div style={{ padding: '1rem', background: 'rgba(239, 68, 68, 0.2)', border: '1px solid #ef4444', borderRadius: '0.5rem', marginBottom: '1rem', color: '#fca5a5' }}>
+                            {error}
+                        </div>
+                    )}
+
+                    {isLoading ? (
+                        <p>Loading...</p>
+                    ) : page.results.length === 0 ? (
+                        <p style={{ color: '#94a3b8' }}>No recognitions found.</p>
+                    ) : (
+                        <>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.9rem' }}>
+                                <thead>
+                                    <tr style={{ color: '#94a3b8' }}>
+                                        <th style={cellStyle}>Date</th>
+                                        <th style={cellStyle}>File</th>
+                                        <th style={cellStyle}>Document Type</th>
+                                        <th style={cellStyle}>Provider</th>
+                                        <th style={cellStyle}>Schema</th>
+                                        <th style={cellStyle}>Status</th>
+                                        <th style={cellStyle}>Review</th>
+                                        <th style={cellStyle}>Duration</th>
+                                        <th style={cellStyle}></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {page.results.map((r) => (
+                                        <tr key={r.id} style={{ background: selected && selected.id === r.id ? 'rgba(56, 189, 248, 0.1)' : 'transparent' }}>
+                                            <td style={cellStyle}>{new Date(r.createdAt).toLocaleString()}</td>
+                                            <td style={cellStyle} title={r.file.sha256}>{r.file.name || '–'}</td>
+                                            <td style={cellStyle}>{formatDocType(r)}</td>
+                                            <td style={cellStyle}>{r.provider}</td>
+                                            <td style={cellStyle}>{r.schemaVersion ? `v${r.schemaVersion}` : '–'}</td>
+                                            <td style={{ ...cellStyle, color: statusColors[r.status] }}>
+                                                {r.status}{r.status === 'completed' && !r.valid ? ' (invalid)' : ''}
+                                            </td>
+                                            <td style={{ ...cellStyle, color: statusColors[r.reviewStatus] }}>{r.reviewStatus || '–'}</td>
+                                            <td style={cellStyle}>{(r.durationMs / 1000).toFixed(1)} s</td>
+                                            <td style={cellStyle}>
+                                                <button className="btn" style={smallButtonStyle} onClick={() => openResult(r.id)}>View</button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '1rem', color: '#94a3b8', fontSize: '0.9rem' }}>
+                                <span>{page.offset + 1}–{lastShown} of {page.total}</span>
+                                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                    <button
+                                        className="btn"
+                                        style={smallButtonStyle}
+                                        disabled={page.offset === 0}
+                                        onClick={() => fetchResults(filters, Math.max(0, page.offset - PAGE_SIZE))}
+                                    >
+                                        ← Newer
+                                    </button>
+                                    <button
+                                        className="btn"
+                                        style={smallButtonStyle}
+                                        disabled={lastShown >= page.total}
+                                        onClick={() => fetchResults(filters, page.offset + PAGE_SIZE)}
+                                    >
+                                        Older →
+                                    </button>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {selected && (
+                    <div className="glass-panel" style={{ padding: '2rem' }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                            <h3 className={styles.panelTitle}>{selected.file.name || selected.id}</h3>
+                            <button className="btn" style={smallButtonStyle} onClick={() => setSelected(null)}>Close</button>
+                        </div>
+                        <p style={{ color: '#94a3b8', fontSize: '0.85rem', marginBottom: '1rem' }}>
+                            {selected.docType} · {selected.provider}
+                            {selected.schemaVersion ? ` · schema v${selected.schemaVersion}` : ''}
+                            {' · '}{new Date(selected.createdAt).toLocaleString()} · {(selected.timings.durationMs / 1000).toFixed(1)} s
+                            <br />
+                            SHA-256 {selected.file.sha256}
+                        </p>
+
+                        {selected.error && (
+                            <div style={{ padding: '1rem', background: 'rgba(239, 68, 68, 0.2)', border: '1px solid #ef4444', borderRadius: '0.5rem', marginBottom: '1rem', color: '#fca5a5' }}>
+                                {selected.error}
+                            </div>
+                        )}
+
+                        {selected.result && (
+                            <>
+                                <div style={{ marginBottom: '1rem' }}>
+                                    {/* The file is not stored, so the review here has no preview */}
+                                    <ReviewPanel key={selected.id} resultId={selected.id} />
+                                </div>
+                                <details style={{ marginBottom: '1rem' }}>
+                                    <summary style={{ cursor: 'pointer', color: '#94a3b8' }}>Result</summary>
+                                    <pre className={styles.jsonResult}>{JSON.stringify(selected.result, null, 2)}</pre>
+                                </details>
+                            </>
+                        )}
+                        {selected.reviews && selected.reviews.length > 0 && (
+                            <details style={{ marginBottom: '1rem' }}>
+                                <summary style={{ cursor: 'pointer', color: '#94a3b8' }}>Review history ({selected.reviews.length})</summary>
+                                <pre className={styles.jsonResult}>{JSON.stringify(selected.reviews, null, 2)}</pre>
+                            </details>
+                        )}
+                        <details style={{ marginBottom: '1rem' }}>
+                            <summary style={{ cursor: 'pointer', color: '#94a3b8' }}>Raw model output ({selected.modelOutputs.length})</summary>
+                            <pre className={styles.jsonResult}>{JSON.stringify(selected.modelOutputs, null, 2)}</pre>
+                        </details>
+                        <details style={{ marginBottom: '1rem' }}>
+                            <summary style={{ cursor: 'pointer', color: '#94a3b8' }}>Options &amp; prompt</summary>
+                            <pre className={styles.jsonResult}>{JSON.stringify({ options: selected.options, prompt: selected.prompt }, null, 2)}</pre>
+                        </details>
+                    </div>
+                )}
+            </div>
+        </main>
+    );
+}
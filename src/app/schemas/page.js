@@ -3,23 +3,103 @@
 import { useState, useEffect } from 'react';
 import styles from '../page.module.css'; // Reuse main styles for consistency
 
+const messageStyles = {
+    error: { padding: '1rem', background: 'rgba(239, 68, 68, 0.2)', border: '1px solid #ef4444', borderRadius: '0.5rem', marginBottom: '1rem', color: '#fca5a5' },
+    success: { padding: '1rem', background: 'rgba(34, 197, 94, 0.2)', border: '1px solid #22c55e', borderRadius: '0.5rem', marginBottom: '1rem', color: '#86efac' },
+};
+
+const inputStyle = {
+    background: 'rgba(15, 23, 42, 0.8)',
+    color: '#e2e8f0',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '0.5rem',
+    padding: '0.5rem 0.75rem',
+};
+
+const smallButtonStyle = { padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: 'rgba(255,255,255,0.1)' };
+
+const issueColors = { error: '#fca5a5', warning: '#fde68a' };
+
+// Providers that send the schema as strict structured output
+const STRICT_PROVIDERS = ['openai', 'azure-openai', 'local'];
+
 export default function SchemaEditor() {
     const [schemas, setSchemas] = useState(null);
+    const [docType, setDocType] = useState(null);
     const [jsonString, setJsonString] = useState('');
+    const [message, setMessage] = useState('');
+    const [author, setAuthor] = useState('');
+    const [newDocType, setNewDocType] = useState('');
+    const [versions, setVersions] = useState([]);
+    const [diff, setDiff] = useState(null);
+    const [issues, setIssues] = useState({ errors: [], warnings: [] });
+    // Strict mode issues block the save only for schemas used with these providers
+    const [strictCheck, setStrictCheck] = useState(true);
+    // "schema" or "prompts": what the editor, history and diff work on
+    const [mode, setMode] = useState('schema');
+    const [promptInfo, setPromptInfo] = useState({ version: null, prompts: {}, keys: ['default'], variables: [], defaultTemplate: '' });
+    const [promptDraft, setPromptDraft] = useState({});
+    const [promptKey, setPromptKey] = useState('default');
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
 
     useEffect(() => {
+        setAuthor(localStorage.getItem('schemaAuthor') || '');
         fetchSchemas();
     }, []);
 
-    const fetchSchemas = async () => {
+    useEffect(() => {
+        if (!docType) return;
+        setDiff(null);
+        setJsonString(schemas && schemas[docType] ? JSON.stringify(schemas[docType], null, 2) : '{\n  "type": "object",\n  "properties": {}\n}');
+        fetchPrompts(docType);
+    }, [docType]);
+
+    useEffect(() => {
+        if (!docType) return;
+        setDiff(null);
+        fetchVersions(docType);
+    }, [docType, mode]);
+
+    const schemaProviders = () => strictCheck ? STRICT_PROVIDERS : [];
+
+    const apiBase = (type = docType) => mode === 'schema' ? `/api/schemas/${type}` : `/api/schemas/${type}/prompts`;
+
+    // Lints the editor content while typing (meta-schema and provider compatibility)
+    useEffect(() => {
+        if (!docType) return;
+        const timer = setTimeout(async () => {
+            let parsed;
+            try {
+                parsed = JSON.parse(jsonString);
+            } catch (err) {
+                setIssues({ errors: [{ path: 'JSON', message: err.message }], warnings: [] });
+                return;
+            }
+            try {
+                const res = await fetch(`/api/schemas/${docType}/validate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ schema: parsed, providers: schemaProviders() }),
+                });
+                if (res.ok) {
+                    const data = await res.json();
+                    setIssues({ errors: data.errors, warnings: data.warnings });
+                }
+            } catch (err) {
+                // Keep the last result, saving validates again anyway
+            }
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [jsonString, docType, strictCheck]);
+
+    const fetchSchemas = async (select) => {
         try {
             const res = await fetch('/api/schemas');
             const data = await res.json();
             setSchemas(data);
-            setJsonString(JSON.stringify(data, null, 2));
+            setDocType((current) => select || (current && data[current] ? current : Object.keys(data)[0] || null));
         } catch (err) {
             setError('Failed to load schemas');
         } finally {
@@ -27,29 +107,124 @@ export default function SchemaEditor() {
         }
     };
 
-    const handleSave = async () => {
+    const fetchVersions = async (type) => {
+        const res = await fetch(`${apiBase(type)}/versions`);
+        setVersions(res.ok ? (await res.json()).versions.slice().reverse() : []);
+    };
+
+    const fetchPrompts = async (type) => {
+        const res = await fetch(`/api/schemas/${type}/prompts`);
+        if (!res.ok) return;
+        const data = await res.json();
+        setPromptInfo(data);
+        setPromptDraft(data.prompts);
+    };
+
+    const authorHeaders = () => {
+        localStorage.setItem('schemaAuthor', author);
+        return { 'Content-Type': 'application/json', ...(author.trim() && { 'X-Author': author.trim() }) };
+    };
+
+    // Runs a schema API call and refreshes schemas and history afterwards
+    const run = async (request, successMessage) => {
         setError(null);
         setSuccess(null);
-
         try {
-            // Validate JSON
-            const parsed = JSON.parse(jsonString);
+            const res = await request();
+            const data = await res.json();
+            if (!res.ok) {
+                if (data.errors) setIssues({ errors: data.errors, warnings: data.warnings || [] });
+                throw new Error(data.error || 'Request failed');
+            }
 
-            const res = await fetch('/api/schemas', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(parsed),
-            });
+            setSuccess(typeof successMessage === 'function' ? successMessage(data) : successMessage);
+            setMessage('');
+            if (mode === 'schema') await fetchSchemas(docType);
+            else await fetchPrompts(docType);
+            await fetchVersions(docType);
+            return data;
+        } catch (err) {
+            setError(err.message);
+            return null;
+        }
+    };
 
-            if (!res.ok) throw new Error('Failed to save');
+    const handleSave = async () => {
+        if (mode === 'prompts') {
+            // Empty templates fall back to the default one
+            const prompts = Object.fromEntries(Object.entries(promptDraft).filter(([, template]) => template.trim()));
+            await run(() => fetch(apiBase(), {
+                method: 'PUT',
+                headers: authorHeaders(),
+                body: JSON.stringify({ prompts, message: message.trim() || undefined }),
+            }), (data) => data.unchanged ? 'No changes to save.' : `Saved the prompts of "${docType}" as version ${data.version}.`);
+            return;
+        }
 
-            setSuccess('Schemas saved successfully!');
-            setSchemas(parsed);
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonString);
         } catch (err) {
-            setError(err.message === 'Failed to save' ? 'Failed to save schemas' : 'Invalid JSON format');
+            setError('Invalid JSON format');
+            return;
+        }
+
+        await run(() => fetch(`/api/schemas/${docType}`, {
+            method: 'PUT',
+            headers: authorHeaders(),
+            body: JSON.stringify({ schema: parsed, message: message.trim() || undefined, providers: schemaProviders() }),
+        }), (data) => data.unchanged ? 'No changes to save.' : `Saved "${docType}" as version ${data.version}.`);
+    };
+
+    const handleDelete = async () => {
+        const what = mode === 'schema' ? `the schema "${docType}"` : `the prompts of "${docType}" (the default prompt is used instead)`;
+        if (!confirm(`Delete ${what}? The history is kept and it can be restored with a rollback.`)) return;
+        await run(() => fetch(`${apiBase()}?message=${encodeURIComponent(message.trim())}`, {
+            method: 'DELETE',
+            headers: authorHeaders(),
+        }), mode === 'schema' ? `Deleted "${docType}".` : `Deleted the prompts of "${docType}".`);
+    };
+
+    // Puts a stored version into the editor of the current mode
+    const showVersion = (data) => {
+        if (mode === 'schema') setJsonString(JSON.stringify(data.schema, null, 2));
+        else setPromptDraft(data.prompts);
+    };
+
+    const handleRollback = async (version) => {
+        const data = await run(() => fetch(`${apiBase()}/rollback`, {
+            method: 'POST',
+            headers: authorHeaders(),
+            body: JSON.stringify({ version, message: message.trim() || undefined }),
+        }), (data) => `Rolled back "${docType}" to version ${version} (new version ${data.version}).`);
+        if (data) showVersion(data);
+    };
+
+    const handleLoadVersion = async (version) => {
+        const res = await fetch(`${apiBase()}?version=${version}`);
+        const data = await res.json();
+        if (res.ok) showVersion(data);
+    };
+
+    const handleDiff = async (version) => {
+        const res = await fetch(`${apiBase()}/diff?from=${version}`);
+        const data = await res.json();
+        setDiff(res.ok ? data : { error: data.error });
+    };
+
+    const handleNew = () => {
+        const type = newDocType.trim();
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(type) || type === 'auto') {
+            setError('Document type may only contain letters, digits, "-" and "_"; "auto" is reserved');
+            return;
         }
+        setNewDocType('');
+        setDocType(type);
     };
 
+    const hasCurrent = mode === 'schema' ? Boolean(schemas && schemas[docType]) : promptInfo.version !== null;
+    const isDeleted = docType && !hasCurrent;
+
     return (
         <main className={styles.main}>
             <div className="container">
@@ -68,42 +243,197 @@ export default function SchemaEditor() {
                         <p>Loading...</p>
                     ) : (
                         <>
-                            <div style={{ marginBottom: '1rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                                <h2>Edit Schemas (JSON)</h2>
-                                <button onClick={handleSave} className="btn btn-primary">
-                                    Save Changes
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '1.5rem' }}>
+                                {Object.keys(schemas || {}).map((type) => (
+                                    <button
+                                        key={type}
+                                        className={`${styles.typeBtn} ${docType === type ? styles.active : ''}`}
+                                        onClick={() => setDocType(type)}
+                                    >
+                                        {type}
+                                    </button>
+                                ))}
+                                <input
+                                    value={newDocType}
+                                    onChange={(e) => setNewDocType(e.target.value)}
+                                    placeholder="newDocType"
+                                    style={{ ...inputStyle, width: '160px' }}
+                                />
+                                <button onClick={handleNew} className="btn" style={{ background: 'rgba(255,255,255,0.1)' }}>
+                                    + New Schema
                                 </button>
                             </div>
 
-                            {error && (
-                                <div style={{ padding: '1rem', background: 'rgba(239, 68, 68, 0.2)', border: '1px solid #ef4444', borderRadius: '0.5rem', marginBottom: '1rem', color: '#fca5a5' }}>
-                                    {error}
-                                </div>
-                            )}
+                            {error && <div style={messageStyles.error}>{error}</div>}
+                            {success && <div style={messageStyles.success}>{success}</div>}
+
+                            {docType && (
+                                <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) minmax(0, 1fr)', gap: '1.5rem' }}>
+                                    <div>
+                                        <div style={{ marginBottom: '1rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem' }}>
+                                            <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                                <h2>{docType}{mode === 'schema' && isDeleted && versions.length > 0 && <span style={{ color: '#fca5a5', fontSize: '0.9rem' }}> (deleted)</span>}</h2>
+                                                {['schema', 'prompts'].map((m) => (
+                                                    <button
+                                                        key={m}
+                                                        className={`${styles.typeBtn} ${mode === m ? styles.active : ''}`}
+                                                        onClick={() => setMode(m)}
+                                                    >
+                                                        {m === 'schema' ? 'Schema' : 'Prompts'}
+                                                    </button>
+                                                ))}
+                                            </div>
+                                            <div style={{ display: 'flex', gap: '0.5rem' }}>
+                                                {hasCurrent && (
+                                                    <button onClick={handleDelete} className="btn" style={{ background: 'rgba(239, 68, 68, 0.3)' }}>
+                                                        Delete
+                                                    </button>
+                                                )}
+                                                <button onClick={handleSave} className="btn btn-primary">
+                                                    Save Version
+                                                </button>
+                                            </div>
+                                        </div>
+
+                                        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+                                            <input
+                                                value={author}
+                                                onChange={(e) => setAuthor(e.target.value)}
+                                                placeholder="Author"
+                                                style={{ ...inputStyle, width: '160px' }}
+                                            />
+                                            <input
+                                                value={message}
+                                                onChange={(e) => setMessage(e.target.value)}
+                                                placeholder="Change description (optional)"
+                                                style={{ ...inputStyle, flex: 1 }}
+                                            />
+                                        </div>
 
-                            {success && (
-                                <div style={{ padding: '1rem', background: 'rgba(34, 197, 94, 0.2)', border: '1px solid #22c55e', borderRadius: '0.5rem', marginBottom: '1rem', color: '#86efac' }}>
-                                    {success}
+                                        {mode === 'schema' && (
+                                            <>
+                                                <textarea
+                                                    value={jsonString}
+                                                    onChange={(e) => setJsonString(e.target.value)}
+                                                    style={{
+                                                        width: '100%',
+                                                        height: '600px',
+                                                        background: 'rgba(15, 23, 42, 0.8)',
+                                                        color: '#a5b4fc',
+                                                        border: '1px solid rgba(255, 255, 255, 0.1)',
+                                                        borderRadius: '0.5rem',
+                                                        padding: '1rem',
+                                                        fontFamily: 'monospace',
+                                                        fontSize: '0.9rem',
+                                                        resize: 'vertical'
+                                                    }}
+                                                    spellCheck="false"
+                                                />
+
+                                                <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', fontSize: '0.85rem', color: '#94a3b8' }}>
+                                                    <input type="checkbox" checked={strictCheck} onChange={(e) => setStrictCheck(e.target.checked)} />
+                                                    Used with strict structured output (OpenAI, Azure OpenAI, local): strict mode issues block the save
+                                                </label>
+
+                                                {(issues.errors.length > 0 || issues.warnings.length > 0) && (
+                                                    <div style={{ marginTop: '1rem', padding: '1rem', background: 'rgba(0,0,0,0.2)', borderRadius: '0.5rem', fontSize: '0.85rem' }}>
+                                                        <h3 style={{ marginBottom: '0.5rem' }}>
+                                                            {issues.errors.length} error{issues.errors.length === 1 ? '' : 's'}, {issues.warnings.length} warning{issues.warnings.length === 1 ? '' : 's'}
+                                                        </h3>
+                                                        {[
+                                                            ...issues.errors.map(issue => ({ ...issue, level: 'error' })),
+                                                            ...issues.warnings.map(issue => ({ ...issue, level: 'warning' })),
+                                                        ].map((issue, i) => (
+                                                            <div key={i} style={{ marginBottom: '0.25rem', color: issueColors[issue.level] }}>
+                                                                <code>{issue.path}</code> {issue.message}
+                                                            </div>
+                                                        ))}
+                                                    </div>
+                                                )}
+                                            </>
+                                        )}
+
+                                        {mode === 'prompts' && (
+                                            <div>
+                                                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                                                    {promptInfo.keys.map((key) => (
+                                                        <button
+                                                            key={key}
+                                                            className={`${styles.typeBtn} ${promptKey === key ? styles.active : ''}`}
+                                                            onClick={() => setPromptKey(key)}
+                                                        >
+                                                            {key}{promptDraft[key] ? ' •' : ''}
+                                                        </button>
+                                                    ))}
+                                                </div>
+                                                <p style={{ fontSize: '0.8rem', color: '#64748b', marginBottom: '0.5rem' }}>
+                                                    {promptKey === 'default'
+                                                        ? 'Used for every provider without its own template.'
+                                                        : `Used for ${promptKey}; leave empty to use the default template.`}
+                                                    {' '}Variables: {promptInfo.variables.map((v) => `{{${v}}}`).join(', ')}. Without <code>{'{{schema}}'}</code> the schema is appended for providers without structured output.
+                                                </p>
+                                                <textarea
+                                                    value={promptDraft[promptKey] || ''}
+                                                    onChange={(e) => setPromptDraft({ ...promptDraft, [promptKey]: e.target.value })}
+                                                    placeholder={promptKey === 'default' ? promptInfo.defaultTemplate : (promptDraft.default || promptInfo.defaultTemplate)}
+                                                    style={{
+                                                        width: '100%',
+                                                        height: '300px',
+                                                        background: 'rgba(15, 23, 42, 0.8)',
+                                                        color: '#e2e8f0',
+                                                        border: '1px solid rgba(255, 255, 255, 0.1)',
+                                                        borderRadius: '0.5rem',
+                                                        padding: '1rem',
+                                                        fontFamily: 'inherit',
+                                                        fontSize: '0.9rem',
+                                                        resize: 'vertical',
+                                                        whiteSpace: 'pre-wrap'
+                                                    }}
+                                                />
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    <div>
+                                        <h2 style={{ marginBottom: '1rem' }}>History</h2>
+                                        {versions.length === 0 && <p style={{ color: '#94a3b8' }}>Not saved yet.</p>}
+                                        <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', maxHeight: '420px', overflowY: 'auto' }}>
+                                            {versions.map((v) => (
+                                                <div key={v.version} style={{ padding: '0.75rem', background: 'rgba(0,0,0,0.2)', borderRadius: '0.5rem', fontSize: '0.85rem' }}>
+                                                    <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                                        <strong>v{v.version} · {v.action}</strong>
+                                                        <span style={{ color: '#94a3b8' }}>{new Date(v.createdAt).toLocaleString()}</span>
+                                                    </div>
+                                                    <div style={{ color: '#94a3b8' }}>{v.author}{v.message ? ` — ${v.message}` : ''}</div>
+                                                    {v.action !== 'delete' && (
+                                                        <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.5rem' }}>
+                                                            <button onClick={() => handleLoadVersion(v.version)} className="btn" style={smallButtonStyle}>Load</button>
+                                                            {!isDeleted && <button onClick={() => handleDiff(v.version)} className="btn" style={smallButtonStyle}>Diff vs current</button>}
+                                                            <button onClick={() => handleRollback(v.version)} className="btn" style={smallButtonStyle}>Rollback</button>
+                                                        </div>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+
+                                        {diff && (
+                                            <div style={{ marginTop: '1rem', fontSize: '0.85rem' }}>
+                                                <h3 style={{ marginBottom: '0.5rem' }}>
+                                                    {diff.error ? 'Diff' : `v${diff.from} → v${diff.to}`}
+                                                </h3>
+                                                {diff.error && <p style={{ color: '#fca5a5' }}>{diff.error}</p>}
+                                                {diff.changes && diff.changes.length === 0 && <p style={{ color: '#94a3b8' }}>No differences.</p>}
+                                                {diff.changes && diff.changes.map((change, i) => (
+                                                    <div key={i} style={{ fontFamily: 'monospace', marginBottom: '0.25rem', color: change.op === 'add' ? '#86efac' : change.op === 'remove' ? '#fca5a5' : '#fde68a' }}>
+                                                        {change.op === 'add' ? '+' : change.op === 'remove' ? '−' : '~'} {change.path}
+                                                        {change.op === 'replace' && `: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`}
+                                                    </div>
+                                                ))}
+                                            </div>
+                                        )}
+                                    </div>
                                 </div>
                             )}
-
-                            <textarea
-                                value={jsonString}
-                                onChange={(e) => setJsonString(e.target.value)}
-                                style={{
-                                    width: '100%',
-                                    height: '600px',
-                                    background: 'rgba(15, 23, 42, 0.8)',
-                                    color: '#a5b4fc',
-                                    border: '1px solid rgba(255, 255, 255, 0.1)',
-                                    borderRadius: '0.5rem',
-                                    padding: '1rem',
-                                    fontFamily: 'monospace',
-                                    fontSize: '0.9rem',
-                                    resize: 'vertical'
-                                }}
-                                spellCheck="false"
-                            />
                         </>
                     )}
                 </div>
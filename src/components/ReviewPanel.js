@@ -0,0 +1,211 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+import SchemaForm, { issuesFromValidation } from '@/components/SchemaForm';
+import styles from '@/app/page.module.css';
+
+// Human review of a stored result (see /api/results/:id/review): the extracted data as a
+// form generated from its schema, next to the document preview when there is one.
+// Corrections are validated on the server while typing and saved with approve/reject.
+
+const inputStyle = {
+    background: 'rgba(15, 23, 42, 0.8)',
+    color: '#e2e8f0',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '0.5rem',
+    padding: '0.5rem 0.75rem',
+};
+
+const messageStyles = {
+    error: { padding: '0.75rem', background: 'rgba(239, 68, 68, 0.2)', border: '1px solid #ef4444', borderRadius: '0.5rem', marginBottom: '1rem', color: '#fca5a5' },
+    success: { padding: '0.75rem', background: 'rgba(34, 197, 94, 0.2)', border: '1px solid #22c55e', borderRadius: '0.5rem', marginBottom: '1rem', color: '#86efac' },
+};
+
+const statusColors = { pending: '#fde68a', approved: '#86efac', rejected: '#fca5a5' };
+
+const issueCount = (validation) => validation ? validation.errors.length + (validation.violations || []).length : 0;
+
+export default function ReviewPanel({ resultId, previewUrl = null, fileType = null }) {
+    const [review, setReview] = useState(null);
+    // Position in review.documents (several for a split PDF)
+    const [position, setPosition] = useState(0);
+    const [drafts, setDrafts] = useState([]);
+    const [validations, setValidations] = useState([]);
+    const [comment, setComment] = useState('');
+    const [author, setAuthor] = useState('');
+    const [message, setMessage] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    useEffect(() => {
+        setAuthor(localStorage.getItem('reviewAuthor') || '');
+    }, []);
+
+    useEffect(() => {
+        loadReview();
+    }, [resultId]);
+
+    const current = review && review.documents[position];
+    const draft = drafts[position];
+
+    // Debounced server-side check of the draft
+    useEffect(() => {
+        if (!current) return;
+        const timer = setTimeout(async () => {
+            try {
+                const res = await fetch(`/api/results/${resultId}/review/validate`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ document: current.document, data: draft }),
+                });
+                const data = await res.json();
+                if (res.ok) setValidations((all) => all.map((v, i) => (i === position ? data.validation : v)));
+            } catch (err) {
+                console.error('Failed to validate correction', err);
+            }
+        }, 500);
+        return () => clearTimeout(timer);
+    }, [draft]);
+
+    const loadReview = async () => {
+        setMessage(null);
+        try {
+            const res = await fetch(`/api/results/${resultId}/review`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to load review');
+            setReview(data);
+            setPosition(0);
+            // Continue from the latest review of each document
+            setDrafts(data.documents.map((d) => (d.review ? d.review.data : d.data)));
+            setValidations(data.documents.map((d) => (d.review ? d.review.validation : d.validation)));
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        }
+    };
+
+    const updateDraft = (data) => setDrafts((all) => all.map((d, i) => (i === position ? data : d)));
+
+    const decide = async (status) => {
+        setIsSaving(true);
+        setMessage(null);
+        localStorage.setItem('reviewAuthor', author);
+        try {
+            const res = await fetch(`/api/results/${resultId}/review`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ document: current.document, status, data: draft, comment: comment || null, author: author || undefined }),
+            });
+            const data = await res.json();
+            if (!res.ok) {
+                if (data.validation) setValidations((all) => all.map((v, i) => (i === position ? data.validation : v)));
+                throw new Error(data.error || 'Failed to save review');
+            }
+
+            setReview({
+                ...review,
+                reviewStatus: data.reviewStatus,
+                documents: review.documents.map((d, i) => (i === position ? { ...d, review: data.review } : d)),
+                reviews: [...review.reviews, data.review],
+            });
+            updateDraft(data.review.data);
+            setComment('');
+            const corrections = data.review.changes.length;
+            setMessage({ type: 'success', text: `${status === 'approved' ? 'Approved' : 'Rejected'} with ${corrections} correction${corrections === 1 ? '' : 's'}.` });
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message });
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    if (!review) {
+        return (
+            <div className="glass-panel" style={{ padding: '1rem' }}>
+                {message ? <div style={messageStyles[message.type]}>{message.text}</div> : <p>Loading review...</p>}
+            </div>
+        );
+    }
+
+    const validation = validations[position];
+    const issues = issuesFromValidation(validation);
+    const count = issueCount(validation);
+    // A split document opens the PDF at its first page
+    const previewSrc = previewUrl && current && current.pages ? `${previewUrl}#page=${current.pages[0]}` : previewUrl;
+
+    return (
+        <div className="glass-panel" style={{ padding: '1rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
+                <h3 className={styles.panelTitle} style={{ margin: 0 }}>Review</h3>
+                {review.reviewStatus && (
+                    <span style={{ color: statusColors[review.reviewStatus], fontSize: '0.9rem' }}>{review.reviewStatus}</span>
+                )}
+            </div>
+
+            {message && <div style={messageStyles[message.type]}>{message.text}</div>}
+
+            {review.documents.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>Nothing to review: no data was extracted.</p>
+            ) : (
+                <>
+                    {review.documents.length > 1 && (
+                        <select value={position} onChange={(e) => setPosition(Number(e.target.value))} style={{ ...inputStyle, marginBottom: '1rem' }}>
+                            {review.documents.map((d, i) => (
+                                <option key={i} value={i}>
+                                    Pages {d.pages[0]}–{d.pages[1]} · {d.docType}{d.review ? ` · ${d.review.status}` : ''}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+
+                    <div style={{ display: 'grid', gridTemplateColumns: previewSrc ? '1fr 1fr' : '1fr', gap: '1rem', alignItems: 'start' }}>
+                        {previewSrc && (
+                            <div className={styles.previewContainer} style={{ position: 'sticky', top: '1rem' }}>
+                                {fileType === 'application/pdf' ? (
+                                    <iframe key={previewSrc} src={previewSrc} className={styles.previewFrame} />
+                                ) : (
+                                    <img src={previewSrc} alt="Preview" className={styles.previewImage} />
+                                )}
+                            </div>
+                        )}
+
+                        <div>
+                            <p style={{ fontSize: '0.85rem', color: count ? '#fca5a5' : '#86efac', marginBottom: '1rem' }}>
+                                {count ? `${count} issue${count === 1 ? '' : 's'} to check (highlighted)` : 'Matches the schema'}
+                                {issues['/'] && ` · ${issues['/'].join('; ')}`}
+                            </p>
+
+                            {current.schema ? (
+                                <SchemaForm schema={current.schema} value={draft} onChange={updateDraft} issues={issues} />
+                            ) : (
+                                <p style={{ color: '#fca5a5' }}>The schema of this result is no longer available.</p>
+                            )}
+
+                            {current.review && (
+                                <p style={{ fontSize: '0.8rem', color: '#64748b', margin: '1rem 0 0.5rem' }}>
+                                    Last review: {current.review.status} by {current.review.author} · {new Date(current.review.reviewedAt).toLocaleString()}
+                                    {current.review.comment && ` · “${current.review.comment}”`}
+                                </p>
+                            )}
+
+                            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginTop: '1rem' }}>
+                                <input value={author} onChange={(e) => setAuthor(e.target.value)} placeholder="Your name" style={{ ...inputStyle, width: '9rem' }} />
+                                <input value={comment} onChange={(e) => setComment(e.target.value)} placeholder="Comment (optional)" style={{ ...inputStyle, flex: 1, minWidth: '10rem' }} />
+                            </div>
+                            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+                                <button className="btn btn-primary" onClick={() => decide('approved')} disabled={isSaving || !current.schema || (validation && !validation.valid)}
+                                    title="Only data that matches the schema can be approved">
+                                    Approve
+                                </button>
+                                <button className="btn" onClick={() => decide('rejected')} disabled={isSaving || !current.schema} style={{ background: 'rgba(239, 68, 68, 0.3)' }}>
+                                    Reject
+                                </button>
+                                <button className="btn" onClick={() => updateDraft(current.data)} disabled={isSaving} style={{ background: 'rgba(255,255,255,0.1)' }}>
+                                    Reset to Extracted
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
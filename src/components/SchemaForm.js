@@ -0,0 +1,311 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+// Editable form generated from a JSON schema: objects become nested field groups, arrays of
+// objects editable tables, arrays of scalars lists and enums dropdowns. `issues` maps JSON
+// pointers to messages (see issuesFromValidation()); those fields are highlighted.
+
+const inputStyle = {
+    width: '100%',
+    background: 'rgba(15, 23, 42, 0.8)',
+    color: '#e2e8f0',
+    border: '1px solid rgba(255, 255, 255, 0.1)',
+    borderRadius: '0.25rem',
+    padding: '0.35rem 0.5rem',
+    fontFamily: 'inherit',
+};
+
+const issueStyle = { borderColor: '#ef4444', background: 'rgba(239, 68, 68, 0.15)' };
+
+const labelStyle = { display: 'block', color: '#94a3b8', marginBottom: '0.25rem', fontSize: '0.85rem' };
+
+const messageStyle = { color: '#fca5a5', fontSize: '0.75rem', marginTop: '0.25rem' };
+
+const cellStyle = { padding: '0.25rem', borderBottom: '1px solid rgba(255,255,255,0.05)', textAlign: 'left', verticalAlign: 'top', minWidth: '8rem' };
+
+const smallButtonStyle = { padding: '0.25rem 0.5rem', fontSize: '0.8rem', background: 'rgba(255,255,255,0.1)' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+const labelFor = (key, schema) => schema.title || key.replace(/([A-Z])/g, ' $1').replace(/^./, (str) => str.toUpperCase());
+
+// The schema's type without "null" (["string", "null"] is a nullable string)
+function typeOf(schema) {
+    const types = [].concat(schema.type || (schema.properties ? 'object' : schema.items ? 'array' : 'string'));
+    return types.find((type) => type !== 'null') || 'null';
+}
+
+const isNullable = (schema) => [].concat(schema.type || []).includes('null');
+
+// Value of a newly added row or list item
+export function emptyValue(schema) {
+    switch (typeOf(schema)) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) => [key, emptyValue(property)]));
+        case 'array':
+            return [];
+        case 'boolean':
+            return false;
+        case 'string':
+            return isNullable(schema) || schema.enum ? null : '';
+        default:
+            return null;
+    }
+}
+
+// JSON pointer -> messages from a validation report ({ errors, violations })
+export function issuesFromValidation(validation) {
+    const issues = {};
+    const add = (path, message) => {
+        issues[path] = [...(issues[path] || []), message];
+    };
+    for (const { path, message } of (validation && validation.errors) || []) {
+        // "must have required property 'x'" belongs to the missing field, not its parent
+        const missing = message.match(/required property '(.+)'/);
+        add(missing ? `${path === '/' ? '' : path}/${escapePointer(missing[1])}` : path, message);
+    }
+    for (const { path, message } of (validation && validation.violations) || []) {
+        add(path, message);
+    }
+    return issues;
+}
+
+export default function SchemaForm({ schema, value, onChange, issues = {} }) {
+    return <Field schema={schema} value={value} onChange={onChange} path="" issues={issues} />;
+}
+
+function Field({ schema, value, onChange, path, issues, label = null, compact = false }) {
+    const messages = issues[path || '/'] || [];
+    const type = typeOf(schema);
+
+    let control;
+    if (type === 'object' && schema.properties) {
+        control = <ObjectField schema={schema} value={value} onChange={onChange} path={path} issues={issues} />;
+    } else if (type === 'object' || (type === 'array' && !schema.items)) {
+        control = <JsonField value={value} onChange={onChange} invalid={messages.length > 0} />;
+    } else if (type === 'array') {
+        control = typeOf(schema.items) === 'object' && schema.items.properties
+            ? <TableField schema={schema} value={value} onChange={onChange} path={path} issues={issues} />
+            : <ListField schema={schema} value={value} onChange={onChange} path={path} issues={issues} />;
+    } else {
+        control = <ScalarField schema={schema} value={value} onChange={onChange} invalid={messages.length > 0} />;
+    }
+
+    // Table cells and list items show their messages as a tooltip
+    if (compact) {
+        return <div title={messages.join('\n') || undefined}>{control}</div>;
+    }
+
+    return (
+        <div style={{ marginBottom: '0.75rem' }}>
+            {label && <label style={labelStyle} title={schema.description}>{label}</label>}
+            {control}
+            {messages.map((message) => (
+                <div key={message} style={messageStyle}>{message}</div>
+            ))}
+        </div>
+    );
+}
+
+function ObjectField({ schema, value, onChange, path, issues }) {
+    const current = isPlainObject(value) ? value : {};
+
+    return (
+        <div style={path ? { paddingLeft: '0.75rem', borderLeft: '2px solid rgba(255,255,255,0.1)' } : undefined}>
+            {Object.entries(schema.properties).map(([key, property]) => (
+                <Field
+                    key={key}
+                    label={labelFor(key, property)}
+                    schema={property}
+                    value={current[key]}
+                    onChange={(next) => onChange({ ...current, [key]: next })}
+                    path={`${path}/${escapePointer(key)}`}
+                    issues={issues}
+                />
+            ))}
+        </div>
+    );
+}
+
+function TableField({ schema, value, onChange, path, issues }) {
+    const rows = Array.isArray(value) ? value : [];
+    const columns = Object.entries(schema.items.properties);
+    const updateRow = (index, row) => onChange(rows.map((current, i) => (i === index ? row : current)));
+
+    // Messages about a whole row (e.g. an unexpected property) are listed below the table
+    const rowMessages = rows.flatMap((row, index) => (issues[`${path}/${index}`] || []).map((message) => `Row ${index + 1}: ${message}`));
+
+    return (
+        <div>
+            <div style={{ overflowX: 'auto' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                    <thead>
+                        <tr style={{ color: '#94a3b8' }}>
+                            {columns.map(([key, property]) => (
+                                <th key={key} style={cellStyle} title={property.description}>{labelFor(key, property)}</th>
+                            ))}
+                            <th style={{ ...cellStyle, minWidth: 0 }}></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rows.map((row, index) => (
+                            <tr key={index}>
+                                {columns.map(([key, property]) => (
+                                    <td key={key} style={cellStyle}>
+                                        <Field
+                                            compact
+                                            schema={property}
+                                            value={isPlainObject(row) ? row[key] : undefined}
+                                            onChange={(next) => updateRow(index, { ...(isPlainObject(row) ? row : {}), [key]: next })}
+                                            path={`${path}/${index}/${escapePointer(key)}`}
+                                            issues={issues}
+                                        />
+                                    </td>
+                                ))}
+                                <td style={{ ...cellStyle, minWidth: 0 }}>
+                                    <button type="button" className="btn" style={smallButtonStyle} title="Remove row" onClick={() => onChange(rows.filter((_, i) => i !== index))}>
+                                        ✕
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {rowMessages.map((message) => (
+                <div key={message} style={messageStyle}>{message}</div>
+            ))}
+            <button type="button" className="btn" style={{ ...smallButtonStyle, marginTop: '0.5rem' }} onClick={() => onChange([...rows, emptyValue(schema.items)])}>
+                + Add Row
+            </button>
+        </div>
+    );
+}
+
+function ListField({ schema, value, onChange, path, issues }) {
+    const items = Array.isArray(value) ? value : [];
+
+    return (
+        <div>
+            {items.map((item, index) => (
+                <div key={index} style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.25rem' }}>
+                    <div style={{ flex: 1 }}>
+                        <Field
+                            compact
+                            schema={schema.items}
+                            value={item}
+                            onChange={(next) => onChange(items.map((current, i) => (i === index ? next : current)))}
+                            path={`${path}/${index}`}
+                            issues={issues}
+                        />
+                    </div>
+                    <button type="button" className="btn" style={smallButtonStyle} title="Remove" onClick={() => onChange(items.filter((_, i) => i !== index))}>
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <button type="button" className="btn" style={smallButtonStyle} onClick={() => onChange([...items, emptyValue(schema.items)])}>
+                + Add
+            </button>
+        </div>
+    );
+}
+
+function ScalarField({ schema, value, onChange, invalid }) {
+    const type = typeOf(schema);
+    const style = { ...inputStyle, ...(invalid && issueStyle) };
+
+    if (schema.enum) {
+        return (
+            <select
+                value={value === null || value === undefined ? '' : String(value)}
+                onChange={(e) => onChange(e.target.value === '' ? null : schema.enum.find((option) => String(option) === e.target.value))}
+                style={style}
+            >
+                <option value="">–</option>
+                {schema.enum.map((option) => (
+                    <option key={String(option)} value={String(option)}>{String(option)}</option>
+                ))}
+            </select>
+        );
+    }
+
+    if (type === 'boolean') {
+        return (
+            <input
+                type="checkbox"
+                checked={value === true}
+                onChange={(e) => onChange(e.target.checked)}
+                style={{ accentColor: '#38bdf8', width: '1.2rem', height: '1.2rem', ...(invalid && { outline: '2px solid #ef4444' }) }}
+            />
+        );
+    }
+
+    // A number field holding text (e.g. "1 234,56" the model did not convert) stays a text
+    // input until it is corrected, so the reviewer sees what was extracted
+    if ((type === 'number' || type === 'integer') && (value === null || value === undefined || typeof value === 'number')) {
+        return (
+            <input
+                type="number"
+                step={type === 'integer' ? 1 : 'any'}
+                value={value ?? ''}
+                onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+                style={style}
+            />
+        );
+    }
+
+    const isNumeric = type === 'number' || type === 'integer';
+    return (
+        <input
+            type="text"
+            value={value === null || value === undefined ? '' : String(value)}
+            onChange={(e) => {
+                const text = e.target.value;
+                if (text === '') onChange(isNullable(schema) || isNumeric ? null : '');
+                else onChange(isNumeric && text.trim() !== '' && !Number.isNaN(Number(text)) ? Number(text) : text);
+            }}
+            style={style}
+        />
+    );
+}
+
+// Free-form objects and arrays without an item schema are edited as JSON
+function JsonField({ value, onChange, invalid }) {
+    const [text, setText] = useState(() => JSON.stringify(value ?? null, null, 2));
+    const [parseError, setParseError] = useState(null);
+
+    useEffect(() => {
+        // Follow outside changes (reset, switching documents) unless the text already matches
+        setText((current) => {
+            try {
+                if (JSON.stringify(JSON.parse(current)) === JSON.stringify(value ?? null)) return current;
+            } catch (e) {
+                // keep showing the outside value
+            }
+            return JSON.stringify(value ?? null, null, 2);
+        });
+    }, [value]);
+
+    return (
+        <div>
+            <textarea
+                value={text}
+                onChange={(e) => {
+                    setText(e.target.value);
+                    try {
+                        onChange(JSON.parse(e.target.value));
+                        setParseError(null);
+                    } catch (err) {
+                        setParseError('Invalid JSON');
+                    }
+                }}
+                style={{ ...inputStyle, ...((invalid || parseError) && issueStyle), height: '6rem', fontFamily: 'Fira Code, monospace', fontSize: '0.8rem', resize: 'vertical' }}
+            />
+            {parseError && <div style={messageStyle}>{parseError}</div>}
+        </div>
+    );
+}
@@ -0,0 +1,113 @@
+export const normalizeIban = (iban) => String(iban).replace(/\s/g, "").toUpperCase();
+
+// MOD-97 check (ISO 13616)
+export function isValidIban(iban) {
+    if (!iban || typeof iban !== 'string') return false;
+
+    const normalized = normalizeIban(iban);
+    if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]{11,30}$/.test(normalized)) return false;
+
+    const rearranged = normalized.slice(4) + normalized.slice(0, 4);
+    let numeric = "";
+    for (const char of rearranged) {
+        const code = char.charCodeAt(0);
+        numeric += code >= 65 && code <= 90 ? (code - 55).toString() : char;
+    }
+
+    try {
+        return BigInt(numeric) % 97n === 1n;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Parses amounts as printed on European and English documents:
+// "1 234,56", "1.234,56", "1,234.56", "240.00", "-12,5 EUR". Returns null if not a number.
+export function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    let str = value.replace(/[\s ']/g, "").replace(/[^\d,.\-+]/g, "");
+    if (!/\d/.test(str)) return null;
+
+    const lastComma = str.lastIndexOf(",");
+    const lastDot = str.lastIndexOf(".");
+    if (lastComma !== -1 && lastDot !== -1) {
+        // Both present: whichever comes last is the decimal separator
+        str = lastComma > lastDot
+            ? str.replace(/\./g, "").replace(",", ".")
+            : str.replace(/,/g, "");
+    } else if (lastComma !== -1) {
+        // Only commas: decimal comma unless it groups thousands ("1,234,567")
+        str = /^[-+]?\d{1,3}(,\d{3})+$/.test(str) ? str.replace(/,/g, "") : str.replace(",", ".");
+    } else if ((str.match(/\./g) || []).length > 1) {
+        // "1.234.567" groups thousands with dots
+        str = str.replace(/\./g, "");
+    }
+
+    const number = Number(str);
+    return Number.isFinite(number) ? number : null;
+}
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Parses "2024-03-01", "01.03.2024", "1. 3. 2024", "01/03/2024" (day first) into
+// an ISO date string. Returns null if the value is not a valid date.
+export function parseDate(value) {
+    if (typeof value !== 'string') return null;
+    const str = value.trim();
+
+    let year, month, day;
+    let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = str.match(/^(\d{1,2})\s*[./-]\s*(\d{1,2})\s*[./-]\s*(\d{4})/))) {
+        [, day, month, year] = match.map(Number);
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// Slovak/Czech variable symbol: up to 10 digits
+export const isValidVariableSymbol = (value) => typeof value === 'string' && /^\d{1,10}$/.test(value);
+
+const VAT_ID_PATTERNS = {
+    AT: /^U\d{8}$/, BE: /^[01]\d{9}$/, BG: /^\d{9,10}$/, CY: /^\d{8}[A-Z]$/, CZ: /^\d{8,10}$/,
+    DE: /^\d{9}$/, DK: /^\d{8}$/, EE: /^\d{9}$/, EL: /^\d{9}$/, ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+    FI: /^\d{8}$/, FR: /^[A-Z0-9]{2}\d{9}$/, HR: /^\d{11}$/, HU: /^\d{8}$/, IE: /^\d[A-Z0-9+*]\d{5}[A-Z]{1,2}$/,
+    IT: /^\d{11}$/, LT: /^(\d{9}|\d{12})$/, LU: /^\d{8}$/, LV: /^\d{11}$/, MT: /^\d{8}$/,
+    NL: /^\d{9}B\d{2}$/, PL: /^\d{10}$/, PT: /^\d{9}$/, RO: /^\d{2,10}$/, SE: /^\d{12}$/,
+    SI: /^\d{8}$/, SK: /^\d{10}$/, XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+};
+
+// EU VAT identification number (VIES formats). Slovak numbers also carry a
+// mod-11 check.
+export function isValidVatId(value) {
+    if (typeof value !== 'string') return false;
+    const normalized = value.replace(/[\s.-]/g, "").toUpperCase();
+    const pattern = VAT_ID_PATTERNS[normalized.slice(0, 2)];
+    if (!pattern || !pattern.test(normalized.slice(2))) return false;
+    if (normalized.startsWith("SK")) return BigInt(normalized.slice(2)) % 11n === 0n;
+    return true;
+}
+
+export const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseDate(value) === value;
+
+// ISO 4217 active codes
+const CURRENCY_CODES = new Set((
+    "AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN BZD " +
+    "CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD " +
+    "GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT " +
+    "LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR " +
+    "NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP " +
+    "STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG " +
+    "XOF XPF YER ZAR ZMW ZWG"
+).split(" "));
+
+export const isCurrencyCode = (value) => typeof value === 'string' && CURRENCY_CODES.has(value);
+
+export const isEmail = (value) => typeof value === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
@@ -0,0 +1,29 @@
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const escapePointer = (key) => String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+
+// Structural diff of two JSON values as a flat list of changes with JSON pointer paths:
+// { op: "add" | "remove" | "replace", path, from?, to? }. Arrays are compared by index.
+export function diffJson(before, after, path = "") {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => {
+            const childPath = `${path}/${escapePointer(key)}`;
+            if (!(key in after)) return [{ op: "remove", path: childPath, from: before[key] }];
+            if (!(key in before)) return [{ op: "add", path: childPath, to: after[key] }];
+            return diffJson(before[key], after[key], childPath);
+        });
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const changes = [];
+        for (let i = 0; i < Math.max(before.length, after.length); i++) {
+            if (i >= after.length) changes.push({ op: "remove", path: `${path}/${i}`, from: before[i] });
+            else if (i >= before.length) changes.push({ op: "add", path: `${path}/${i}`, to: after[i] });
+            else changes.push(...diffJson(before[i], after[i], `${path}/${i}`));
+        }
+        return changes;
+    }
+
+    return JSON.stringify(before) === JSON.stringify(after) ? [] : [{ op: "replace", path: path || "/", from: before, to: after }];
+}
@@ -0,0 +1,218 @@
+import { getSchemaVersion } from "@/services/schema-store.service";
+import { getPrompts } from "@/services/prompt-store.service";
+import { AUTO_DOC_TYPE, AUTO_DOCTYPE_FALLBACK, resolveClassificationProvider } from "@/services/classification.service";
+import { getProvider, getProviderIds, CONSENSUS_PROVIDERS } from "@/services/provider.service";
+import { checkSchema } from "@/services/validation.service";
+import { checkFieldAnnotations } from "@/services/field-format.service";
+import { EXPORT_FORMATS } from "@/services/export.service";
+import { DEFAULT_MAX_REPAIR_ATTEMPTS, MAX_REPAIR_ATTEMPTS_LIMIT, INPUT_MODES, DEFAULT_INPUT_MODE, MAX_SAMPLES } from "@/services/recognition.service";
+
+const RECOGNIZE_FIELDS = ["docType", "modelProvider", "enforceJsonSchema", "customPrompt", "customSchema", "maxRepairAttempts", "includeMetadata", "inputMode", "consensusProviders", "samples", "schemaVersion", "fallbackDocType", "split"];
+
+export const isEmpty = (value) => value === undefined || value === null || value === "";
+
+export const readFormFields = (formData, extraFields = []) =>
+    Object.fromEntries([...RECOGNIZE_FIELDS, ...extraFields].map(name => [name, formData.get(name)]));
+
+// JSON bodies carry real booleans, FormData carries the strings "true"/"false"
+export const toFlag = (value, defaultValue) => isEmpty(value) ? defaultValue : value === true || value === "true";
+
+// Members of a consensus run: an explicit list (array or comma separated) must be
+// fully configured, the CONSENSUS_PROVIDERS default is reduced to the configured ones.
+function resolveConsensusProviders(requested) {
+    const explicit = !isEmpty(requested);
+    const ids = explicit
+        ? [...new Set((Array.isArray(requested) ? requested : String(requested).split(",")).map(id => String(id).trim()).filter(Boolean))]
+        : CONSENSUS_PROVIDERS;
+
+    const invalid = ids.filter(id => !getProvider(id) || getProvider(id).capabilities.consensus);
+    if (invalid.length) {
+        return { error: `Unknown consensus providers: ${invalid.join(", ")}` };
+    }
+
+    const unconfigured = ids.filter(id => !getProvider(id).isConfigured());
+    if (explicit && unconfigured.length) {
+        return { error: `Consensus providers not configured: ${unconfigured.join(", ")}` };
+    }
+
+    const providerIds = ids.filter(id => !unconfigured.includes(id));
+    if (providerIds.length < 2) {
+        return { error: "Consensus needs at least two configured providers (consensusProviders or CONSENSUS_PROVIDERS)" };
+    }
+    return { providerIds };
+}
+
+// Validates the recognition options shared by every endpoint (recognize, jobs, batch)
+// and resolves the schema. Returns { options } or { error } (a 400 for the caller).
+export async function resolveRecognizeOptions(fields) {
+    const docType = fields.docType;
+    if (!docType) {
+        return { error: "Missing document type" };
+    }
+
+    const modelProvider = fields.modelProvider || "gemini";
+    if (!getProvider(modelProvider)) {
+        return { error: `Unknown modelProvider "${modelProvider}". Available providers: ${getProviderIds().join(", ")}` };
+    }
+
+    let consensusProviders = null;
+    if (getProvider(modelProvider).capabilities.consensus) {
+        const { providerIds, error } = resolveConsensusProviders(fields.consensusProviders);
+        if (error) return { error };
+        consensusProviders = providerIds;
+    }
+
+    let maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS;
+    if (!isEmpty(fields.maxRepairAttempts)) {
+        maxRepairAttempts = Number(fields.maxRepairAttempts);
+        if (!Number.isInteger(maxRepairAttempts) || maxRepairAttempts < 0 || maxRepairAttempts > MAX_REPAIR_ATTEMPTS_LIMIT) {
+            return { error: `maxRepairAttempts must be an integer between 0 and ${MAX_REPAIR_ATTEMPTS_LIMIT}` };
+        }
+    }
+
+    let samples = 1;
+    if (!isEmpty(fields.samples)) {
+        samples = Number(fields.samples);
+        if (!Number.isInteger(samples) || samples < 1 || samples > MAX_SAMPLES) {
+            return { error: `samples must be an integer between 1 and ${MAX_SAMPLES}` };
+        }
+        if (samples > 1 && consensusProviders) {
+            return { error: "samples cannot be combined with the consensus provider" };
+        }
+    }
+
+    const inputMode = fields.inputMode || DEFAULT_INPUT_MODE;
+    if (!INPUT_MODES.includes(inputMode)) {
+        return { error: `inputMode must be one of: ${INPUT_MODES.join(", ")}` };
+    }
+
+    // docType "auto" classifies the document, split every page of it (classification.service.js)
+    const split = toFlag(fields.split, false);
+    let classificationProvider = null;
+    if (docType === AUTO_DOC_TYPE || split) {
+        classificationProvider = resolveClassificationProvider(modelProvider, consensusProviders);
+        if (!classificationProvider) {
+            return { error: `Provider "${modelProvider}" cannot classify documents (docType "${AUTO_DOC_TYPE}", split). Set CLASSIFICATION_PROVIDER${split ? "" : " or pass a docType"}` };
+        }
+    }
+
+    const baseOptions = {
+        docType,
+        modelProvider,
+        enforceJsonSchema: toFlag(fields.enforceJsonSchema, true),
+        customPrompt: fields.customPrompt || null,
+        maxRepairAttempts,
+        includeMetadata: toFlag(fields.includeMetadata, false),
+        inputMode,
+        consensusProviders,
+        samples,
+        split,
+        classificationProvider,
+    };
+
+    // docType "auto": runRecognition() classifies the document and loads schema and prompts then
+    if (docType === AUTO_DOC_TYPE) {
+        if (fields.customSchema || !isEmpty(fields.schemaVersion)) {
+            return { error: `docType "${AUTO_DOC_TYPE}" cannot be combined with customSchema or schemaVersion` };
+        }
+        const fallbackDocType = fields.fallbackDocType || AUTO_DOCTYPE_FALLBACK;
+        if (fallbackDocType && !(await getSchemaVersion(fallbackDocType))) {
+            return { error: `Unknown fallbackDocType "${fallbackDocType}"` };
+        }
+        return { options: { ...baseOptions, schema: null, schemaVersion: null, prompts: null, fallbackDocType } };
+    }
+
+    // Load Schema
+    let schema;
+    let schemaVersion = null;
+    if (fields.customSchema) {
+        if (!isEmpty(fields.schemaVersion)) {
+            return { error: "schemaVersion cannot be combined with customSchema" };
+        }
+        try {
+            // Handle both string (from FormData) and Object (from JSON)
+            schema = typeof fields.customSchema === 'string'
+                ? JSON.parse(fields.customSchema)
+                : fields.customSchema;
+        } catch (e) {
+            return { error: "Invalid custom schema JSON" };
+        }
+    } else {
+        // Stored schema, pinned to schemaVersion or the current version
+        if (!isEmpty(fields.schemaVersion) && !Number.isInteger(Number(fields.schemaVersion))) {
+            return { error: "schemaVersion must be an integer" };
+        }
+        const stored = await getSchemaVersion(docType, isEmpty(fields.schemaVersion) ? null : Number(fields.schemaVersion));
+        if (!stored && !isEmpty(fields.schemaVersion)) {
+            return { error: `Schema "${docType}" has no version ${fields.schemaVersion}` };
+        }
+        schema = stored && stored.schema;
+        schemaVersion = stored && stored.version;
+    }
+
+    if (!schema) {
+        return { error: "Invalid document type or schema" };
+    }
+
+    const schemaError = checkSchema(schema) || checkFieldAnnotations(schema);
+    if (schemaError) {
+        return { error: `Invalid JSON schema: ${schemaError}` };
+    }
+
+    return {
+        options: {
+            ...baseOptions,
+            // Stored templates of the docType, used when there is no customPrompt
+            prompts: fields.customPrompt ? null : await getPrompts(docType),
+            schema,
+            schemaVersion,
+        },
+    };
+}
+
+// Reads a single-document request (multipart/form-data or JSON with a base64 file).
+// Returns { file: { buffer, mimeType, name }, options, output } or { error }; `output` is
+// "json" or one of EXPORT_FORMATS (only /api/recognize answers with a file).
+export async function parseRecognizeRequest(req) {
+    const contentType = req.headers.get("content-type") || "";
+    let file;
+    let fields;
+
+    if (contentType.includes("application/json")) {
+        const body = await req.json();
+
+        if (!body.file || !body.mimeType) {
+            return { error: "Missing file (base64) or mimeType in JSON body" };
+        }
+
+        file = { buffer: Buffer.from(body.file, 'base64'), mimeType: body.mimeType, name: body.fileName || null };
+        fields = body;
+
+    } else if (contentType.includes("multipart/form-data")) {
+        const formData = await req.formData();
+        const upload = formData.get("file");
+
+        if (upload) {
+            const arrayBuffer = await upload.arrayBuffer();
+            file = { buffer: Buffer.from(arrayBuffer), mimeType: upload.type, name: upload.name || null };
+        }
+        fields = readFormFields(formData, ["output"]);
+
+    } else {
+        return { error: "Unsupported Content-Type. Use multipart/form-data or application/json" };
+    }
+
+    if (!file || !fields.docType) {
+        return { error: "Missing file or document type" };
+    }
+
+    const output = fields.output || "json";
+    if (output !== "json" && !EXPORT_FORMATS.includes(output)) {
+        return { error: `output must be one of: json, ${EXPORT_FORMATS.join(", ")}` };
+    }
+
+    const { options, error } = await resolveRecognizeOptions(fields);
+    if (error) return { error };
+
+    return { file, options, output };
+}
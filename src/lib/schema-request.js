@@ -0,0 +1,38 @@
+import { lintSchema } from "@/services/schema-lint.service";
+import { getProvider } from "@/services/provider.service";
+
+// Author of a schema change: `author` in the body, otherwise the X-Author header
+export const readAuthor = (req, body) => (body && body.author) || req.headers.get("x-author") || "anonymous";
+
+export async function readJsonBody(req) {
+    try {
+        return { body: await req.json() };
+    } catch (e) {
+        return { error: "Invalid JSON body" };
+    }
+}
+
+// `providers` of a save: the providers the schema is used with, as an array or a
+// comma-separated string. { providers, error }
+export function readSchemaProviders(value) {
+    if (value === undefined || value === null || value === "") return { providers: [] };
+    const providers = typeof value === 'string' ? value.split(",").map(id => id.trim()).filter(Boolean) : value;
+    if (!Array.isArray(providers) || !providers.every(id => typeof id === 'string')) {
+        return { error: "providers must be an array of provider ids" };
+    }
+    const unknown = providers.filter(id => !getProvider(id));
+    if (unknown.length) return { error: `Unknown provider: ${unknown.join(", ")}` };
+    return { providers };
+}
+
+// Lint result of a schema about to be stored: { error, errors, warnings }, where
+// `error` summarizes the first error and is null when the schema can be saved. Strict
+// structured output issues are only errors when one of `providers` enforces the schema.
+export function checkSchemaForSave(schema, providers = []) {
+    const strict = providers.some(id => getProvider(id).capabilities.strictJsonSchema);
+    const { errors, warnings } = lintSchema(schema, { strict });
+    const error = errors.length
+        ? `Invalid schema: ${errors[0].path}: ${errors[0].message}${errors.length > 1 ? ` (and ${errors.length - 1} more)` : ""}`
+        : null;
+    return { error, errors, warnings };
+}
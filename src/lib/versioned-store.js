@@ -0,0 +1,172 @@
+import { promises as fs } from "fs";
+import path from "path";
+import { diffJson } from "@/lib/json-diff";
+
+// A JSON document per docType with an immutable version history. Every change (create,
+// update, delete, rollback) appends a version to <historyDir>/<docType>.json; `currentFile`
+// always holds the current document of every docType, so readers only need that file.
+// Versions look like { version, action, author, message, [rolledBackTo], createdAt, [field] },
+// where `field` names the document ("schema", "prompts", ...).
+
+// docTypes end up in file names and URLs; "auto" requests classification (classification.service.js)
+export const isValidDocType = (docType) => typeof docType === 'string' && /^[A-Za-z0-9_-]{1,64}$/.test(docType) && docType !== "auto";
+
+async function writeJsonAtomic(filePath, value) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 4), "utf8");
+    await fs.rename(tmpPath, filePath);
+}
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export function createVersionedStore({ name, currentFile, historyDir, field }) {
+    // Writes are serialized across routes (Next.js bundles every route separately, hence globalThis)
+    const locks = globalThis.__versionedStoreLocks || (globalThis.__versionedStoreLocks = {});
+    const withLock = (fn) => {
+        const run = (locks[name] || Promise.resolve()).then(fn, fn);
+        locks[name] = run.catch(() => {});
+        return run;
+    };
+
+    const currentFileName = path.relative(process.cwd(), currentFile);
+    const historyPath = (docType) => path.join(historyDir, `${docType}.json`);
+    const lastVersion = (history) => history.versions[history.versions.length - 1] || null;
+    const currentVersion = (history) => {
+        const last = lastVersion(history);
+        return last && last.action !== "delete" ? last : null;
+    };
+    const toSummary = ({ [field]: value, ...summary }) => summary;
+
+    async function getAll() {
+        try {
+            return JSON.parse(await fs.readFile(currentFile, 'utf8'));
+        } catch (e) {
+            if (e.code === "ENOENT") return {};
+            throw e;
+        }
+    }
+
+    // Changes made to the current file outside this store (documents that predate
+    // versioning, hand edits) become versions by "system" the first time the docType is
+    // read, and are persisted right away so a version number always means the same document.
+    // Callers hold the lock (see readHistory).
+    async function loadHistory(docType) {
+        let history = { docType, versions: [] };
+        try {
+            history = JSON.parse(await fs.readFile(historyPath(docType), "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") throw e;
+        }
+
+        const fileValue = (await getAll())[docType];
+        const current = currentVersion(history);
+        const external = async (action, value, message) => {
+            const { mtime } = await fs.stat(currentFile);
+            history.versions.push({
+                version: history.versions.length + 1,
+                action,
+                author: "system",
+                createdAt: mtime.toISOString(),
+                message,
+                [field]: value,
+            });
+        };
+
+        if (fileValue && !current) {
+            await external(history.versions.length ? "update" : "create", fileValue, `Imported from ${currentFileName}`);
+        } else if (fileValue && !sameJson(fileValue, current[field])) {
+            await external("update", fileValue, `Changed in ${currentFileName} outside the API`);
+        } else if (!fileValue && current) {
+            await external("delete", null, `Removed from ${currentFileName} outside the API`);
+        } else {
+            return history;
+        }
+
+        await fs.mkdir(historyDir, { recursive: true });
+        await writeJsonAtomic(historyPath(docType), history);
+        return history;
+    }
+
+    // loadHistory() for readers: it may write, so it waits for running changes
+    const readHistory = (docType) => withLock(() => loadHistory(docType));
+
+    async function appendVersion(history, entry) {
+        const { [field]: value, ...details } = entry;
+        const version = { version: history.versions.length + 1, ...details, createdAt: new Date().toISOString(), [field]: value };
+        history.versions.push(version);
+
+        await fs.mkdir(historyDir, { recursive: true });
+        await writeJsonAtomic(historyPath(history.docType), history);
+
+        const all = await getAll();
+        if (value) {
+            all[history.docType] = value;
+        } else {
+            delete all[history.docType];
+        }
+        await writeJsonAtomic(currentFile, all);
+
+        return version;
+    }
+
+    // A stored version, the current one by default. Null when the docType or version does not exist.
+    async function getVersion(docType, version = null) {
+        if (!isValidDocType(docType)) return null;
+        const history = await readHistory(docType);
+
+        if (version === null) return currentVersion(history);
+        const entry = history.versions.find(v => v.version === Number(version));
+        return entry && entry[field] ? entry : null;
+    }
+
+    // Version summaries (without the documents), oldest first. Null for unknown docTypes.
+    async function listVersions(docType) {
+        if (!isValidDocType(docType)) return null;
+        const history = await readHistory(docType);
+        return history.versions.length ? history.versions.map(toSummary) : null;
+    }
+
+    // Saves `value` as the new current version. Saving an unchanged document creates no version.
+    const save = (docType, value, { author, message = null }) => withLock(async () => {
+        const history = await loadHistory(docType);
+        const current = currentVersion(history);
+        if (current && sameJson(current[field], value)) {
+            return { ...current, unchanged: true };
+        }
+        return appendVersion(history, { action: current ? "update" : "create", author, message, [field]: value });
+    });
+
+    // Deleting keeps the history, a rollback restores the document. Null if there is no current version.
+    const remove = (docType, { author, message = null }) => withLock(async () => {
+        const history = await loadHistory(docType);
+        if (!currentVersion(history)) return null;
+        return appendVersion(history, { action: "delete", author, message, [field]: null });
+    });
+
+    // Makes the document of an earlier version current again, as a new version.
+    // Null if that version does not exist (or is a deletion).
+    const rollback = (docType, version, { author, message = null }) => withLock(async () => {
+        const history = await loadHistory(docType);
+        const target = history.versions.find(v => v.version === Number(version));
+        if (!target || !target[field]) return null;
+
+        return appendVersion(history, {
+            action: "rollback",
+            author,
+            message: message || `Rollback to version ${target.version}`,
+            rolledBackTo: target.version,
+            [field]: target[field],
+        });
+    });
+
+    // Changes between two versions (`to` defaults to the current one). Null if either is missing.
+    async function diff(docType, from, to = null) {
+        const before = await getVersion(docType, from);
+        const after = await getVersion(docType, to);
+        if (!before || !after) return null;
+
+        return { docType, from: before.version, to: after.version, changes: diffJson(before[field], after[field]) };
+    }
+
+    return { getAll, getVersion, listVersions, save, remove, rollback, diff };
+}
@@ -0,0 +1,117 @@
+import path from "path";
+import { unzipSync } from "fflate";
+import { runRecognition } from "./recognition.service";
+import { resultRows, toCsv } from "./export.service";
+import { mapWithConcurrency } from "@/lib/concurrency";
+
+export const BATCH_CONCURRENCY = Math.max(1, Number(process.env.BATCH_CONCURRENCY) || 3);
+export const BATCH_MAX_CONCURRENCY = 10;
+export const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 500;
+// Total uncompressed size of the documents in the uploaded ZIP archives
+export const BATCH_MAX_UNZIPPED_BYTES = Number(process.env.BATCH_MAX_UNZIPPED_BYTES) || 1024 * 1024 * 1024;
+
+const MIME_TYPES = {
+    ".pdf": "application/pdf",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".webp": "image/webp",
+    ".gif": "image/gif",
+};
+
+export const isZipFile = (file) =>
+    file.mimeType === "application/zip" ||
+    file.mimeType === "application/x-zip-compressed" ||
+    (file.name || "").toLowerCase().endsWith(".zip");
+
+// ZIP entries that are documents; folders, macOS metadata and unknown extensions are skipped
+function entryMimeType(entryName) {
+    const baseName = path.posix.basename(entryName);
+    if (entryName.endsWith("/") || entryName.startsWith("__MACOSX/") || baseName.startsWith(".")) return null;
+    return MIME_TYPES[path.extname(baseName).toLowerCase()] || null;
+}
+
+// Replaces every ZIP archive in `files` by the documents it contains. The archives are
+// checked against BATCH_MAX_FILES and BATCH_MAX_UNZIPPED_BYTES from their directory
+// before anything is inflated, and only document entries are inflated.
+export function expandBatchFiles(files) {
+    const expanded = [];
+    let unzippedBytes = 0;
+
+    for (const file of files) {
+        if (!isZipFile(file)) {
+            expanded.push(file);
+            continue;
+        }
+
+        const data = new Uint8Array(file.buffer);
+        const readError = (e) => new Error(`Failed to read ZIP archive ${file.name || ""}: ${e.message}`);
+
+        // First pass reads the directory only: the filter rejects every entry
+        let count = 0;
+        try {
+            unzipSync(data, {
+                filter: (entry) => {
+                    if (entryMimeType(entry.name)) {
+                        count++;
+                        unzippedBytes += entry.originalSize;
+                    }
+                    return false;
+                },
+            });
+        } catch (e) {
+            throw readError(e);
+        }
+        if (expanded.length + count > BATCH_MAX_FILES) {
+            throw new Error(`Too many documents (${expanded.length + count}), the limit is ${BATCH_MAX_FILES}`);
+        }
+        if (unzippedBytes > BATCH_MAX_UNZIPPED_BYTES) {
+            throw new Error(`ZIP archives too large when unpacked (${unzippedBytes} bytes), the limit is ${BATCH_MAX_UNZIPPED_BYTES} bytes`);
+        }
+
+        let entries;
+        try {
+            entries = unzipSync(data, { filter: (entry) => Boolean(entryMimeType(entry.name)) });
+        } catch (e) {
+            throw readError(e);
+        }
+
+        for (const [entryName, content] of Object.entries(entries)) {
+            expanded.push({ name: `${file.name ? `${file.name}/` : ""}${entryName}`, mimeType: entryMimeType(entryName), buffer: Buffer.from(content) });
+        }
+    }
+
+    return expanded;
+}
+
+// Recognizes every file with the same options. A failing file never fails the batch,
+// it is reported in its manifest entry instead.
+export async function runBatch(files, options, { concurrency = BATCH_CONCURRENCY, includeCsv = false } = {}) {
+    const results = await mapWithConcurrency(files, concurrency, async (file) => {
+        const start = Date.now();
+        try {
+            const result = await runRecognition(file, options);
+            return { file: file.name, mimeType: file.mimeType, status: "completed", durationMs: Date.now() - start, result, error: null };
+        } catch (error) {
+            console.error(`Batch recognition of ${file.name} failed:`, error);
+            return { file: file.name, mimeType: file.mimeType, status: "failed", durationMs: Date.now() - start, result: null, error: error.message || "Internal server error" };
+        }
+    });
+
+    const succeeded = results.filter(r => r.status === "completed").length;
+    const manifest = {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+    };
+
+    if (includeCsv) {
+        const rows = results.flatMap(r => r.status === "completed"
+            ? resultRows(r.result).map(row => ({ file: r.file, ...row }))
+            : [{ file: r.file, error: r.error }]);
+        manifest.csv = toCsv(rows);
+    }
+
+    return manifest;
+}
@@ -0,0 +1,112 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Record/replay of model provider calls ("cassettes") for deterministic offline runs:
+//   PROVIDER_CASSETTES=record  every provider call goes out as usual and its raw response is
+//                              stored under the fingerprint of the request
+//   PROVIDER_CASSETTES=replay  responses are served from the cassette, nothing goes to the
+//                              network; an unrecorded request fails
+// The fingerprint is a hash of what is sent (model, prompt, schema), never of API keys, so a
+// cassette recorded with real keys replays without any. Page images are not hashed: they are
+// rendered by ImageMagick/Ghostscript and differ between machines, so the uploaded file's
+// hash and the page window stand for them, and replay skips the rendering altogether.
+// One JSON file per call in PROVIDER_CASSETTE_DIR. The default data/cassettes is not tracked:
+// recordings hold the data extracted from the documents. CI points PROVIDER_CASSETTE_DIR at
+// committed fixtures (benchmark/cassettes). Failed calls are not recorded.
+
+export const CASSETTE_MODES = ["record", "replay"];
+
+const CASSETTE_MODE = process.env.PROVIDER_CASSETTES || null;
+const CASSETTE_DIR = process.env.PROVIDER_CASSETTE_DIR || path.join(process.cwd(), "data/cassettes");
+
+if (CASSETTE_MODE && !CASSETTE_MODES.includes(CASSETTE_MODE)) {
+    throw new Error(`PROVIDER_CASSETTES must be one of: ${CASSETTE_MODES.join(", ")}`);
+}
+
+// Replay needs no credentials, see isConfigured in provider.service.js
+export const isReplaying = () => CASSETTE_MODE === "replay";
+
+// JSON with sorted keys, so the fingerprint does not depend on property order
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Image and file parts of a request (OpenAI `image_url`, Gemini `inlineData`), dropped from
+// the fingerprint in favour of the document key
+const isFilePart = (part) => Boolean(part && typeof part === 'object' && (part.inlineData || part.type === "image_url"));
+
+function withoutFileParts(value) {
+    if (Array.isArray(value)) return value.filter(part => !isFilePart(part)).map(withoutFileParts);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, withoutFileParts(child)]));
+    }
+    return value;
+}
+
+// The document a call is about: the sha256 of the uploaded file (`source`, set by
+// runRecognition(), also when `buffer` is a page image rendered from it) and the page window
+export const documentKey = ({ buffer, source = null, pages = null }) => ({
+    sha256: source ? source.sha256 : crypto.createHash("sha256").update(buffer).digest("hex"),
+    pages,
+});
+
+export const fingerprintRequest = (provider, request, document) =>
+    crypto.createHash("sha256").update(canonicalJson({ provider, request: withoutFileParts(request), document })).digest("hex");
+
+// The request as stored next to the response, for reading and diffing cassettes: file
+// contents (data URLs, base64 image/PDF parts) are replaced by their size and hash
+function describeRequest(value) {
+    if (typeof value === 'string' && value.length > 1000 && /^(data:[^;]+;base64,)?[A-Za-z0-9+/=\s]+$/.test(value)) {
+        return `<${value.length} chars, sha256 ${crypto.createHash("sha256").update(value).digest("hex").slice(0, 16)}>`;
+    }
+    if (Array.isArray(value)) return value.map(describeRequest);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, child]) => [key, describeRequest(child)]));
+    }
+    return value;
+}
+
+const cassettePath = (provider, fingerprint) => path.join(CASSETTE_DIR, `${provider}-${fingerprint}.json`);
+
+// Runs `send` (the network call, resolving to the raw response) unless cassettes are on.
+// `request` is what identifies the call: everything sent except credentials. `document`
+// ({ buffer, source, pages } of the provider request) identifies the file, see documentKey().
+export async function withCassette(provider, request, document, send) {
+    if (!CASSETTE_MODE) return send();
+
+    const key = documentKey(document);
+    const fingerprint = fingerprintRequest(provider, request, key);
+    const file = cassettePath(provider, fingerprint);
+
+    if (CASSETTE_MODE === "replay") {
+        let recorded;
+        try {
+            recorded = JSON.parse(await fs.readFile(file, "utf8"));
+        } catch (e) {
+            if (e.code !== "ENOENT") throw e;
+            throw new Error(`No recorded ${provider} response for this request (fingerprint ${fingerprint}) in ${CASSETTE_DIR}. Record it with PROVIDER_CASSETTES=record.`);
+        }
+        console.log(`Replaying recorded ${provider} response ${fingerprint.slice(0, 12)}`);
+        return recorded.response;
+    }
+
+    const response = await send();
+    await fs.mkdir(CASSETTE_DIR, { recursive: true });
+    const tmpPath = `${file}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({
+        fingerprint,
+        provider,
+        recordedAt: new Date().toISOString(),
+        document: key,
+        request: describeRequest(request),
+        response,
+    }, null, 2), "utf8");
+    await fs.rename(tmpPath, file);
+    console.log(`Recorded ${provider} response ${fingerprint.slice(0, 12)}`);
+    return response;
+}
@@ -0,0 +1,136 @@
+import { getProvider } from "./provider.service";
+import { getSchemas } from "./schema-store.service";
+import { validateAgainstSchema } from "./validation.service";
+
+// docType "auto": the document is classified against the stored schemas first, each
+// described to the model by the top-level `description` of its schema. A type is only
+// used when the model is confident enough; otherwise the fallback docType is.
+// Multi-document PDFs (split) are classified page by page and cut into segments.
+
+export const AUTO_DOC_TYPE = "auto";
+export const AUTO_DOCTYPE_FALLBACK = process.env.AUTO_DOCTYPE_FALLBACK || null;
+const CLASSIFICATION_PROVIDER = process.env.CLASSIFICATION_PROVIDER || null;
+const CLASSIFICATION_MIN_CONFIDENCE = Number(process.env.CLASSIFICATION_MIN_CONFIDENCE ?? 0.5);
+// The first pages are enough to tell document types apart
+const CLASSIFICATION_PAGES = 3;
+const UNKNOWN = "unknown";
+
+// Rule-based extraction and the consensus orchestrator cannot answer a classification prompt
+const canClassify = (provider) => Boolean(provider) && provider.capabilities.repair !== false && !provider.capabilities.consensus;
+
+// Id of the provider that classifies for `modelProvider`: CLASSIFICATION_PROVIDER, otherwise
+// the provider itself (the first member for consensus). Null when that provider cannot classify.
+export function resolveClassificationProvider(modelProvider, consensusProviders = null) {
+    const id = CLASSIFICATION_PROVIDER || (consensusProviders ? consensusProviders[0] : modelProvider);
+    return canClassify(getProvider(id)) ? id : null;
+}
+
+const describeTypes = (schemas) =>
+    Object.entries(schemas).map(([docType, schema]) => `- ${docType}${schema.description ? `: ${schema.description}` : ""}`).join("\n");
+
+const buildClassificationPrompt = (schemas) => `You are an expert document classifier. Decide which of these document types the document is:
+${describeTypes(schemas)}
+
+Answer "${UNKNOWN}" when none of them fits. Set confidence to a number between 0 and 1.`;
+
+const buildPageClassificationPrompt = (schemas) => `You are an expert document classifier. You see a single page of a scanned batch that may contain several documents back to back. Decide which of these document types the page belongs to:
+${describeTypes(schemas)}
+
+Answer "${UNKNOWN}" when none of them fits. Set confidence to a number between 0 and 1.
+Set startsNewDocument to true when this is the first page of a document (a new letterhead, title, document number or "page 1"), false when it continues the document of the previous page.`;
+
+function classificationSchema(schemas, { page = false } = {}) {
+    const properties = {
+        docType: { type: "string", enum: [...Object.keys(schemas), UNKNOWN] },
+        confidence: { type: "number", description: "Confidence between 0 and 1 that the document is of this type" },
+        ...(page && { startsNewDocument: { type: "boolean", description: "True when the page is the first page of a document" } }),
+    };
+    return { type: "object", properties, required: Object.keys(properties) };
+}
+
+// Asks the classifier; an answer outside the schema counts as "no idea". The raw answer is
+// appended to `trace` with the prompt, like the extraction calls (see recognizeDocument())
+async function askClassifier(providerId, request, schema, prompt, trace) {
+    const started = Date.now();
+    let usage = null;
+    const onUsage = (reported) => {
+        usage = reported;
+        if (request.onUsage) request.onUsage(reported);
+    };
+    const output = await getProvider(providerId).analyze({ ...request, docType: "document", schema, customPrompt: prompt, prompts: null, repair: null, onUsage });
+    if (trace) {
+        trace.push({ provider: providerId, pages: request.pages || null, repair: false, classification: true, prompt, durationMs: Date.now() - started, usage, output });
+    }
+    const valid = validateAgainstSchema(output, schema).valid;
+    return {
+        detected: valid ? output.docType : UNKNOWN,
+        confidence: valid ? Math.min(1, Math.max(0, output.confidence)) : 0,
+        startsNewDocument: valid ? output.startsNewDocument : undefined,
+    };
+}
+
+const isConfident = ({ detected, confidence }) => detected !== UNKNOWN && confidence >= CLASSIFICATION_MIN_CONFIDENCE;
+
+// Classifies the document of a recognition `request` (see runRecognition()). Returns
+// { docType, confidence, detected, provider, fallback }: `detected` is the model's answer,
+// `docType` the type to extract with (the fallback when the answer is not usable).
+export async function classifyDocument(providerId, request, { fallbackDocType = AUTO_DOCTYPE_FALLBACK, trace = null } = {}) {
+    const schemas = await getSchemas();
+    const { detected, confidence } = await askClassifier(
+        providerId,
+        { ...request, pages: { firstPage: 0, count: CLASSIFICATION_PAGES } },
+        classificationSchema(schemas),
+        buildClassificationPrompt(schemas),
+        trace,
+    );
+
+    const classification = classifySegment({ detected, confidence }, providerId, fallbackDocType);
+    if (!classification.docType) {
+        throw new Error(`Could not determine the document type (answer "${detected}" with confidence ${confidence}). Pass a docType or fallbackDocType.`);
+    }
+    return classification;
+}
+
+// Classifies one page: { detected, confidence, startsNewDocument }. `request` carries the
+// page (an image, or the page window of the text layer). The answer is appended to `trace`.
+export async function classifyPage(providerId, request, { trace = null } = {}) {
+    const schemas = await getSchemas();
+    return askClassifier(providerId, request, classificationSchema(schemas, { page: true }), buildPageClassificationPrompt(schemas), trace);
+}
+
+// Cuts classified pages ([{ detected, confidence, startsNewDocument }]) into documents of
+// consecutive pages. A document starts where a page says so or where a confidently
+// classified page has another type; unsure pages stay with the document before them.
+// Returns [{ firstPage, count, detected, confidence }] with the majority type of the
+// confidently classified pages (UNKNOWN when there are none).
+export function segmentPages(pages) {
+    const segments = [];
+    pages.forEach((page, index) => {
+        const current = segments[segments.length - 1];
+        const currentType = current && current.votes.length ? current.votes[0].detected : null;
+        const typeChanges = isConfident(page) && currentType && page.detected !== currentType;
+
+        if (!current || page.startsNewDocument || typeChanges) {
+            segments.push({ firstPage: index, count: 0, votes: [] });
+        }
+        const segment = segments[segments.length - 1];
+        segment.count++;
+        if (isConfident(page)) segment.votes.push(page);
+    });
+
+    return segments.map(({ firstPage, count, votes }) => {
+        const tally = new Map();
+        for (const vote of votes) tally.set(vote.detected, [...(tally.get(vote.detected) || []), vote.confidence]);
+        // Map keeps insertion order, so on a tie the type of the earlier page wins
+        const [detected, confidences] = [...tally].sort((a, b) => b[1].length - a[1].length)[0] || [UNKNOWN, [0]];
+        const confidence = Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length * 100) / 100;
+        return { firstPage, count, detected, confidence };
+    });
+}
+
+// { docType, confidence, detected, provider, fallback } for a classified document or segment
+// ({ detected, confidence }); docType is null when the answer is not usable and there is no fallback.
+export function classifySegment({ detected, confidence }, providerId, fallbackDocType = AUTO_DOCTYPE_FALLBACK) {
+    const fits = isConfident({ detected, confidence });
+    return { docType: fits ? detected : fallbackDocType, confidence, detected, provider: providerId, fallback: !fits };
+}
@@ -0,0 +1,177 @@
+import { passesFieldValidation } from "./field-format.service";
+
+// Field-level voting over several results for the same document (different providers,
+// or repeated samples of one). Voters are passed in priority order: ties go to the
+// earlier one. Values failing their x-validate check (e.g. an IBAN with a wrong MOD-97
+// checksum) only win when no candidate passes.
+
+// Array items are aligned by these fields when the item schema has them
+const KEY_FIELDS = ["iban", "variableSymbol", "invoiceNumber", "contractNumber", "accountNumber", "date", "description", "amount"];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+// Comparison key for a vote: formatting differences between providers do not count
+function voteKey(value) {
+    if (typeof value === 'number') return JSON.stringify(Math.round(value * 100) / 100);
+    if (typeof value === 'string') return JSON.stringify(value.replace(/\s+/g, "").toLowerCase());
+    if (Array.isArray(value)) return `[${value.map(voteKey).join(",")}]`;
+    if (isPlainObject(value)) return `{${Object.keys(value).sort().map(k => `${k}:${voteKey(value[k])}`).join(",")}}`;
+    return JSON.stringify(value);
+}
+
+function voteScalar(votes, schema, path, total, ctx) {
+    const present = votes.filter(v => !isMissing(v.value));
+    if (present.length === 0) return votes.find(v => v.value !== undefined)?.value;
+
+    const tally = new Map();
+    for (const vote of present) {
+        const key = voteKey(vote.value);
+        if (!tally.has(key)) tally.set(key, { value: vote.value, valid: passesFieldValidation(vote.value, schema), providers: [] });
+        tally.get(key).providers.push(vote.provider);
+    }
+
+    // Map keeps insertion order, so on a tie the candidate of the earlier voter stays first
+    const candidates = [...tally.values()].sort((a, b) => (b.valid - a.valid) || (b.providers.length - a.providers.length));
+    const winner = candidates[0];
+    ctx.agreement[path] = Math.round(winner.providers.length / total * 100) / 100;
+
+    if (candidates.length > 1 || present.length < total) {
+        ctx.disagreements.push({
+            path,
+            values: votes.map(v => ({ provider: v.provider, value: v.value ?? null })),
+            chosen: winner.value,
+            agreement: `${winner.providers.length}/${total}`,
+        });
+    }
+    return winner.value;
+}
+
+const itemKeyFields = (itemSchema) =>
+    KEY_FIELDS.filter(field => itemSchema && itemSchema.properties && field in itemSchema.properties);
+
+// Two readings of the same key value: equal, or strings of equal length differing in a
+// few characters (digit confusions such as 8/6 or 5/3 must not split a row)
+function sameKey(a, b) {
+    if (voteKey(a) === voteKey(b)) return true;
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+
+    const x = a.replace(/\s+/g, "").toLowerCase();
+    const y = b.replace(/\s+/g, "").toLowerCase();
+    if (x.length !== y.length) return false;
+    let differences = 0;
+    for (let i = 0; i < x.length; i++) {
+        if (x[i] !== y[i]) differences++;
+    }
+    return differences <= Math.max(1, Math.floor(x.length / 8));
+}
+
+// How well `item` matches `other`: the number of key fields both have and agree on,
+// or -1 when at most half of the key fields both have agree
+function matchScore(item, other, keyFields) {
+    let comparable = 0;
+    let agreeing = 0;
+    for (const field of keyFields) {
+        if (isMissing(item[field]) || isMissing(other[field])) continue;
+        comparable++;
+        if (sameKey(item[field], other[field])) agreeing++;
+    }
+    return agreeing > 0 && agreeing * 2 > comparable ? agreeing : -1;
+}
+
+// Groups the items of every provider's array into rows of the merged array. An item
+// joins the row whose first item agrees best on the key fields (one item per provider
+// and row); without key fields items are aligned by position.
+function alignItems(votes, itemSchema) {
+    const keyFields = itemKeyFields(itemSchema);
+    const groups = [];
+
+    for (const vote of votes) {
+        (Array.isArray(vote.value) ? vote.value : []).forEach((item, index) => {
+            let best = null;
+            let bestScore = -1;
+            groups.forEach((group, groupIndex) => {
+                if (group.votes.some(v => v.provider === vote.provider)) return;
+                const score = keyFields.length && isPlainObject(item) && isPlainObject(group.votes[0].value)
+                    ? matchScore(item, group.votes[0].value, keyFields)
+                    : (groupIndex === index ? 1 : -1);
+                if (score > bestScore) {
+                    best = group;
+                    bestScore = score;
+                }
+            });
+
+            if (best) {
+                best.votes.push({ provider: vote.provider, value: item });
+            } else {
+                groups.push({ votes: [{ provider: vote.provider, value: item }] });
+            }
+        });
+    }
+    return groups;
+}
+
+function voteArray(votes, schema, path, total, ctx) {
+    const itemSchema = schema && schema.items;
+    if (!votes.some(v => Array.isArray(v.value)) || !isPlainObject(itemSchema) || itemSchema.type !== 'object') {
+        return voteScalar(votes, schema, path, total, ctx);
+    }
+
+    const merged = [];
+    for (const group of alignItems(votes, itemSchema)) {
+        const count = group.votes.length;
+        // A row needs a majority; on a tie the row of the highest-priority responder decides
+        const topProvider = ctx.providerOrder.find(id => votes.some(v => v.provider === id && Array.isArray(v.value)));
+        const keep = count * 2 > total || (count * 2 === total && group.votes.some(v => v.provider === topProvider));
+
+        if (keep) ctx.agreement[`${path}/${merged.length}`] = Math.round(count / total * 100) / 100;
+        if (count < total) {
+            ctx.disagreements.push({
+                path: keep ? `${path}/${merged.length}` : path,
+                values: votes.map(v => ({ provider: v.provider, value: group.votes.find(g => g.provider === v.provider)?.value ?? null })),
+                chosen: keep ? "kept" : "dropped",
+                agreement: `${count}/${total}`,
+            });
+        }
+        if (!keep) continue;
+
+        merged.push(voteNode(group.votes, itemSchema, `${path}/${merged.length}`, count, ctx));
+    }
+    return merged;
+}
+
+function voteNode(votes, schema, path, total, ctx) {
+    const type = schema && schema.type;
+
+    if (type === 'array' || votes.some(v => Array.isArray(v.value))) {
+        return voteArray(votes, schema, path, total, ctx);
+    }
+
+    if (type === 'object' || votes.some(v => isPlainObject(v.value))) {
+        const properties = (schema && schema.properties) || {};
+        const keys = [...new Set([
+            ...Object.keys(properties),
+            ...votes.flatMap(v => isPlainObject(v.value) ? Object.keys(v.value) : []),
+        ])];
+
+        const result = {};
+        for (const key of keys) {
+            const childVotes = votes.map(v => ({ provider: v.provider, value: isPlainObject(v.value) ? v.value[key] : undefined }));
+            if (childVotes.every(v => v.value === undefined)) continue;
+            const value = voteNode(childVotes, properties[key], `${path}/${key}`, total, ctx);
+            if (value !== undefined) result[key] = value;
+        }
+        return result;
+    }
+
+    return voteScalar(votes, schema, path, total, ctx);
+}
+
+// `results` is [{ provider, data }] in priority order. Returns the merged data, every
+// field where the voters differed and the agreement ratio (share of voters backing the
+// chosen value) of every voted field and array row. Paths are JSON pointers into `data`.
+export function voteResults(results, schema) {
+    const ctx = { providerOrder: results.map(r => r.provider), disagreements: [], agreement: {} };
+    const data = voteNode(results.map(r => ({ provider: r.provider, value: r.data })), schema, "", results.length, ctx);
+    return { data, disagreements: ctx.disagreements, agreement: ctx.agreement };
+}
@@ -0,0 +1,161 @@
+// Arithmetic consistency rules per document type. They run on the extracted data
+// (after validation and normalization) and report findings without changing anything:
+//   { rule, severity: "error" | "warning", paths: [json pointers], message, expected, actual }
+// Rules skip silently when the fields they need were not extracted.
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const round2 = (value) => Math.round(value * 100) / 100;
+const sum = (values) => round2(values.reduce((total, value) => total + value, 0));
+
+// Rounding of printed amounts: a cent per compared amount, sums allow a cent per row
+const AMOUNT_TOLERANCE = 0.01;
+// Fees and insurance are often part of the instalment, so the annuity is only a plausibility check
+const MONTHLY_PAYMENT_TOLERANCE = Number(process.env.MONTHLY_PAYMENT_TOLERANCE) || 0.05;
+
+const finding = (rule, severity, paths, message, expected, actual) =>
+    ({ rule, severity, paths, message, expected: round2(expected), actual: round2(actual) });
+
+const amountsMatch = (a, b, tolerance = AMOUNT_TOLERANCE) => Math.abs(a - b) <= tolerance + 1e-9;
+
+// --- invoice -------------------------------------------------------------------
+
+function invoiceRowTotals(data) {
+    const rows = Array.isArray(data.invoiceRows) ? data.invoiceRows : [];
+    return rows.flatMap((row, i) => {
+        if (!row || !isNumber(row.quantity) || !isNumber(row.unitPrice) || !isNumber(row.total)) return [];
+        const expected = row.quantity * row.unitPrice;
+        if (amountsMatch(expected, row.total)) return [];
+        return [finding("invoice.rowTotal", "error",
+            [`/invoiceRows/${i}/total`, `/invoiceRows/${i}/quantity`, `/invoiceRows/${i}/unitPrice`],
+            `Row ${i + 1}: quantity ${row.quantity} × unit price ${row.unitPrice} = ${round2(expected)}, but the row total is ${row.total}`,
+            expected, row.total)];
+    });
+}
+
+// Rows are either net (total = rows + tax) or gross (total = rows)
+function invoiceRowsSum(data) {
+    const header = data.invoiceHeader || {};
+    const rows = (Array.isArray(data.invoiceRows) ? data.invoiceRows : []).filter(row => row && isNumber(row.total));
+    if (!isNumber(header.totalAmount) || rows.length === 0) return [];
+
+    const rowsSum = sum(rows.map(row => row.total));
+    const tolerance = AMOUNT_TOLERANCE * rows.length;
+    if (amountsMatch(rowsSum, header.totalAmount, tolerance)) return [];
+    if (isNumber(header.taxAmount) && amountsMatch(rowsSum + header.taxAmount, header.totalAmount, tolerance)) return [];
+
+    const withTax = isNumber(header.taxAmount) ? ` (${round2(rowsSum + header.taxAmount)} with tax ${header.taxAmount})` : "";
+    return [finding("invoice.rowsSum", "error", ["/invoiceRows", "/invoiceHeader/totalAmount"],
+        `Invoice rows add up to ${rowsSum}${withTax}, but the total amount is ${header.totalAmount}`,
+        rowsSum, header.totalAmount)];
+}
+
+// --- bankStatement ---------------------------------------------------------------
+
+// Signed amount: debits decrease the balance. Without a type the sign of the amount counts.
+const signedAmount = (transaction) => {
+    if (transaction.type === "debit") return -Math.abs(transaction.amount);
+    if (transaction.type === "credit") return Math.abs(transaction.amount);
+    return transaction.amount;
+};
+
+function statementBalance(data) {
+    const info = data.accountInfo || {};
+    const transactions = (Array.isArray(data.transactions) ? data.transactions : []).filter(t => t && isNumber(t.amount));
+    if (!isNumber(info.openingBalance) || !isNumber(info.closingBalance)) return [];
+
+    const expected = round2(info.openingBalance + sum(transactions.map(signedAmount)));
+    if (amountsMatch(expected, info.closingBalance, AMOUNT_TOLERANCE * Math.max(1, transactions.length))) return [];
+
+    return [finding("bankStatement.balance", "error", ["/accountInfo/openingBalance", "/transactions", "/accountInfo/closingBalance"],
+        `Opening balance ${info.openingBalance} plus ${transactions.length} transactions gives ${expected}, but the closing balance is ${info.closingBalance}`,
+        expected, info.closingBalance)];
+}
+
+// Each balanceAfter must follow from the previous one (or the opening balance)
+function statementBalanceChain(data) {
+    const info = data.accountInfo || {};
+    const transactions = Array.isArray(data.transactions) ? data.transactions : [];
+    const findings = [];
+
+    let previous = isNumber(info.openingBalance) ? info.openingBalance : null;
+    transactions.forEach((transaction, i) => {
+        if (!transaction || !isNumber(transaction.balanceAfter)) {
+            previous = null;
+            return;
+        }
+        if (previous !== null && isNumber(transaction.amount)) {
+            const expected = previous + signedAmount(transaction);
+            if (!amountsMatch(expected, transaction.balanceAfter)) {
+                findings.push(finding("bankStatement.balanceChain", "error", [`/transactions/${i}/balanceAfter`, `/transactions/${i}/amount`],
+                    `Transaction ${i + 1}: ${round2(previous)} ${signedAmount(transaction) < 0 ? "-" : "+"} ${Math.abs(transaction.amount)} = ${round2(expected)}, but balanceAfter is ${transaction.balanceAfter}`,
+                    expected, transaction.balanceAfter));
+            }
+        }
+        previous = transaction.balanceAfter;
+    });
+
+    return findings;
+}
+
+// --- loanContract ----------------------------------------------------------------
+
+// Annuity: P·r / (1 − (1 + r)^−n) with the monthly rate r
+function annuityPayment(principal, annualRatePercent, months) {
+    const rate = annualRatePercent / 100 / 12;
+    if (rate === 0) return principal / months;
+    return principal * rate / (1 - Math.pow(1 + rate, -months));
+}
+
+function loanMonthlyPayment(data) {
+    const details = data.contractDetails || {};
+    const { loanAmount, interestRate, termMonths, monthlyPayment } = details;
+    if (![loanAmount, interestRate, termMonths, monthlyPayment].every(isNumber) || termMonths <= 0) return [];
+
+    const expected = annuityPayment(loanAmount, interestRate, termMonths);
+    if (Math.abs(expected - monthlyPayment) <= expected * MONTHLY_PAYMENT_TOLERANCE) return [];
+
+    return [finding("loanContract.monthlyPayment", "warning",
+        ["/contractDetails/monthlyPayment", "/contractDetails/loanAmount", "/contractDetails/interestRate", "/contractDetails/termMonths"],
+        `A loan of ${loanAmount} at ${interestRate} % over ${termMonths} months has an annuity of about ${round2(expected)}, but the monthly payment is ${monthlyPayment}`,
+        expected, monthlyPayment)];
+}
+
+// --- drawdown --------------------------------------------------------------------
+
+function drawdownTotal(data) {
+    const items = (Array.isArray(data.drawdowns) ? data.drawdowns : []).filter(item => item && isNumber(item.amount));
+    if (!isNumber(data.totalSum) || items.length === 0) return [];
+
+    const itemsSum = sum(items.map(item => item.amount));
+    if (amountsMatch(itemsSum, data.totalSum, AMOUNT_TOLERANCE * items.length)) return [];
+
+    return [finding("drawdown.totalSum", "error", ["/drawdowns", "/totalSum"],
+        `Drawdown amounts add up to ${itemsSum}, but the total sum is ${data.totalSum}`,
+        itemsSum, data.totalSum)];
+}
+
+const rulesByDocType = new Map([
+    ["invoice", [invoiceRowTotals, invoiceRowsSum]],
+    ["bankStatement", [statementBalance, statementBalanceChain]],
+    ["loanContract", [loanMonthlyPayment]],
+    ["drawdown", [drawdownTotal]],
+]);
+
+// Adds a rule `(data) => findings[]` to a document type (custom docTypes included).
+export function registerConsistencyRule(docType, rule) {
+    rulesByDocType.set(docType, [...(rulesByDocType.get(docType) || []), rule]);
+}
+
+export function checkConsistency(docType, data) {
+    if (!data || typeof data !== 'object') return [];
+
+    return (rulesByDocType.get(docType) || []).flatMap(rule => {
+        try {
+            return rule(data);
+        } catch (error) {
+            // A broken rule must not fail the recognition
+            console.error(`Consistency rule for ${docType} failed:`, error);
+            return [];
+        }
+    });
+}
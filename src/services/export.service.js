@@ -0,0 +1,194 @@
+import { zipSync, strToU8 } from "fflate";
+
+// Spreadsheet exports of recognition results: any schema's data is flattened into rows
+// (see flattenResult) and written as CSV, XLSX or JSON Lines.
+
+export const EXPORT_FORMATS = ["csv", "xlsx", "jsonl"];
+
+const CONTENT_TYPES = {
+    csv: "text/csv; charset=utf-8",
+    xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    jsonl: "application/x-ndjson; charset=utf-8",
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Flattens nested objects into dotted keys: { invoiceHeader: { total: 1 } } -> { "invoiceHeader.total": 1 }.
+// Arrays of scalars are joined, arrays of objects are collected separately by the caller.
+function flattenObject(obj, prefix, columns, arrays) {
+    for (const [key, value] of Object.entries(obj)) {
+        const name = prefix ? `${prefix}.${key}` : key;
+        if (Array.isArray(value)) {
+            if (value.some(isPlainObject)) {
+                arrays.push({ name, items: value });
+            } else {
+                columns[name] = value.join("; ");
+            }
+        } else if (isPlainObject(value)) {
+            flattenObject(value, name, columns, arrays);
+        } else {
+            columns[name] = value;
+        }
+    }
+}
+
+// Turns one extraction result into table rows: header fields become columns and every
+// item of an array of objects (invoiceRows, transactions, drawdowns, ...) becomes its
+// own row with the header columns repeated.
+export function flattenResult(data) {
+    if (!isPlainObject(data)) {
+        return Array.isArray(data) ? data.flatMap(flattenResult) : [{ value: data }];
+    }
+
+    const header = {};
+    const arrays = [];
+    flattenObject(data, "", header, arrays);
+
+    const rows = [];
+    for (const { name, items } of arrays) {
+        for (const item of items) {
+            const columns = {};
+            const nested = [];
+            if (isPlainObject(item)) {
+                flattenObject(item, name, columns, nested);
+                // Arrays nested inside rows are kept as JSON rather than multiplying rows again
+                for (const inner of nested) columns[inner.name] = JSON.stringify(inner.items);
+            } else {
+                columns[name] = item;
+            }
+            rows.push({ ...header, ...columns });
+        }
+    }
+
+    return rows.length ? rows : [header];
+}
+
+// Text starting with = + - @ (or tab, CR) is run as a formula by spreadsheet applications, so
+// extracted text such as "=HYPERLINK(...)" gets a leading ' and is shown as text. Plain
+// numbers ("-12.50") cannot be formulas and are kept.
+const neutralizeFormula = (text) =>
+    /^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+([.,]\d+)?$/.test(text) ? `'${text}` : text;
+
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) return "";
+    const str = typeof value === 'object' ? JSON.stringify(value)
+        : typeof value === 'string' ? neutralizeFormula(value)
+        : String(value);
+    return /[",\r\n;]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Column order follows first appearance across all rows.
+export function getColumns(rows) {
+    const columns = [];
+    const seen = new Set();
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (!seen.has(key)) {
+                seen.add(key);
+                columns.push(key);
+            }
+        }
+    }
+    return columns;
+}
+
+export function toCsv(rows) {
+    const columns = getColumns(rows);
+    const lines = [columns.map(escapeCsv).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map(col => escapeCsv(row[col])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+// One flat JSON object per line, the columns of toCsv() with their original types
+export const toJsonl = (rows) => rows.map(row => JSON.stringify(row)).join("\n") + "\n";
+
+// Excel limits a cell to 32767 characters; control characters are not allowed in XML
+const XLSX_MAX_CELL_LENGTH = 32767;
+
+const escapeXml = (value) => value
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => index < 26
+    ? String.fromCharCode(65 + index)
+    : columnName(Math.floor(index / 26) - 1) + String.fromCharCode(65 + (index % 26));
+
+function xlsxCell(value, ref, style = "") {
+    if (value === undefined || value === null || value === "") return "";
+    if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+    if (typeof value === 'boolean') return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+    const text = (typeof value === 'object' ? JSON.stringify(value) : neutralizeFormula(String(value))).slice(0, XLSX_MAX_CELL_LENGTH);
+    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+// A single-sheet workbook: bold, frozen header row and an autofilter over all columns.
+// Numbers and booleans keep their cell type, everything else is an inline string.
+export function toXlsx(rows, sheetName = "Result") {
+    const columns = getColumns(rows);
+    // Sheet names are at most 31 characters without \ / ? * [ ] :
+    const sheet = escapeXml(sheetName.replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
+    const lastColumn = columnName(Math.max(columns.length, 1) - 1);
+    const sheetRows = [
+        `<row r="1">${columns.map((column, i) => xlsxCell(column, `${columnName(i)}1`, ' s="1"')).join("")}</row>`,
+        ...rows.map((row, r) => `<row r="${r + 2}">${columns.map((column, i) => xlsxCell(row[column], `${columnName(i)}${r + 2}`)).join("")}</row>`),
+    ];
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const files = {
+        "[Content_Types].xml": xml + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+            + '</Types>',
+        "_rels/.rels": xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        "xl/workbook.xml": xml + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${sheet}" sheetId="1" r:id="rId1"/></sheets>`
+            + (columns.length ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${sheet.replace(/'/g, "''")}'!$A$1:$${lastColumn}$${rows.length + 1}</definedName></definedNames>` : "")
+            + '</workbook>',
+        "xl/_rels/workbook.xml.rels": xml + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+            + '</Relationships>',
+        "xl/styles.xml": xml + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+            + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+            + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+            + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+            + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+            + '</styleSheet>',
+        "xl/worksheets/sheet1.xml": xml + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + `<sheetData>${sheetRows.join("")}</sheetData>`
+            + (columns.length ? `<autoFilter ref="A1:${lastColumn}${rows.length + 1}"/>` : "")
+            + '</worksheet>',
+    };
+
+    return zipSync(Object.fromEntries(Object.entries(files).map(([name, content]) => [name, strToU8(content)])));
+}
+
+// Table rows of a recognition response. A split result has a row set per document,
+// labelled with its pages and docType.
+export const resultRows = (result) => result.documents
+    ? result.documents.flatMap(({ pages, docType, data, error }) => {
+        const label = { pages: `${pages[0]}-${pages[1]}`, docType };
+        return error ? [{ ...label, error }] : flattenResult(data).map(row => ({ ...label, ...row }));
+    })
+    : flattenResult(result.data);
+
+// A recognition response as a file of one of EXPORT_FORMATS: { body, contentType, fileName }.
+// `name` (e.g. the uploaded file name) gives the file name, `sheetName` the XLSX sheet.
+export function exportResult(result, format, { name = "result", sheetName } = {}) {
+    const rows = resultRows(result);
+    const body = format === "xlsx" ? Buffer.from(toXlsx(rows, sheetName))
+        : format === "jsonl" ? toJsonl(rows)
+        : toCsv(rows);
+    const baseName = name.replace(/\.[^.]*$/, "").replace(/[^\w.-]+/g, "_") || "result";
+    return { body, contentType: CONTENT_TYPES[format], fileName: `${baseName}.${format}` };
+}
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { unzipSync, strFromU8 } from "fflate";
+import { toCsv, toXlsx } from "./export.service.js";
+
+const rows = [
+    { vendor: "=HYPERLINK(\"http://example.com\",\"pay\")", note: "+cmd|' /C calc'!A0", a: "-2+3", b: "@SUM(A1)", c: "\tx", d: "\rx", amount: -12.5, text: "-12.50", plain: "Acme s.r.o." },
+];
+
+test("toCsv prefixes formula-like text with a quote", () => {
+    const [, line] = toCsv(rows).split("\r\n");
+    assert.equal(line, [
+        '"\'=HYPERLINK(""http://example.com"",""pay"")"',
+        "'+cmd|' /C calc'!A0",
+        "'-2+3",
+        "'@SUM(A1)",
+        "'\tx",
+        "\"'\rx\"",
+        "-12.5",
+        "-12.50",
+        "Acme s.r.o.",
+    ].join(","));
+});
+
+test("toXlsx prefixes formula-like string cells with a quote", () => {
+    const sheet = strFromU8(unzipSync(toXlsx(rows))["xl/worksheets/sheet1.xml"]);
+    const cells = [...sheet.matchAll(/<c r="([A-Z]+)2"[^>]*>([\s\S]*?)<\/c>/g)].map(([, , content]) => content);
+    assert.deepEqual(cells, [
+        '<is><t xml:space="preserve">\'=HYPERLINK(&quot;http://example.com&quot;,&quot;pay&quot;)</t></is>',
+        '<is><t xml:space="preserve">\'+cmd|\' /C calc\'!A0</t></is>',
+        '<is><t xml:space="preserve">\'-2+3</t></is>',
+        '<is><t xml:space="preserve">\'@SUM(A1)</t></is>',
+        '<is><t xml:space="preserve">\'\tx</t></is>',
+        '<is><t xml:space="preserve">\'\rx</t></is>',
+        '<v>-12.5</v>',
+        '<is><t xml:space="preserve">-12.50</t></is>',
+        '<is><t xml:space="preserve">Acme s.r.o.</t></is>',
+    ]);
+});
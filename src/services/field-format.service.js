@@ -0,0 +1,117 @@
+import {
+    isValidIban, isValidVariableSymbol, isValidVatId, isIsoDate, isCurrencyCode, isEmail,
+    parseAmount, parseDate,
+} from "@/lib/formats";
+
+// Schemas can annotate leaf fields with format checks that JSON Schema cannot express:
+//   "x-normalize": "stripSpaces" | ["stripSpaces", "uppercase", ...]  applied first, in order
+//   "x-validate":  "iban" | ["iban", ...]                              checked on the normalized value
+// Annotations are stripped before the schema goes to a provider (strict structured
+// output rejects unknown keywords) and applied to the result after extraction.
+
+const VALIDATORS = {
+    iban: { test: isValidIban, message: "is not a valid IBAN (MOD-97 checksum)" },
+    variableSymbol: { test: isValidVariableSymbol, message: "is not a valid variable symbol (up to 10 digits)" },
+    vatId: { test: isValidVatId, message: "is not a valid EU VAT ID" },
+    isoDate: { test: isIsoDate, message: "is not an ISO date (YYYY-MM-DD)" },
+    currency: { test: isCurrencyCode, message: "is not an ISO 4217 currency code" },
+    email: { test: isEmail, message: "is not a valid email address" },
+};
+
+// Normalizers leave values they cannot handle unchanged; the validators report them.
+const NORMALIZERS = {
+    trim: (value) => typeof value === 'string' ? value.trim() : value,
+    stripSpaces: (value) => typeof value === 'string' ? value.replace(/\s/g, "") : value,
+    uppercase: (value) => typeof value === 'string' ? value.toUpperCase() : value,
+    amount: (value) => typeof value === 'string' ? parseAmount(value) ?? value : value,
+    isoDate: (value) => typeof value === 'string' ? parseDate(value) ?? value : value,
+};
+
+export const FIELD_VALIDATORS = Object.keys(VALIDATORS);
+export const FIELD_NORMALIZERS = Object.keys(NORMALIZERS);
+
+const toList = (annotation) => annotation === undefined ? [] : [].concat(annotation);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function stripFieldAnnotations(schema) {
+    if (!isPlainObject(schema)) return schema;
+
+    const rest = { ...schema };
+    delete rest["x-validate"];
+    delete rest["x-normalize"];
+    if (rest.properties) {
+        rest.properties = Object.fromEntries(Object.entries(rest.properties).map(([key, child]) => [key, stripFieldAnnotations(child)]));
+    }
+    if (rest.items) {
+        rest.items = stripFieldAnnotations(rest.items);
+    }
+    return rest;
+}
+
+// Unknown validator/normalizer names as [{ path, message }], paths are JSON pointers into the schema.
+export function fieldAnnotationIssues(schema, path = "") {
+    if (!isPlainObject(schema)) return [];
+
+    const issues = [];
+    for (const name of toList(schema["x-normalize"])) {
+        if (!NORMALIZERS[name]) issues.push({ path: `${path}/x-normalize`, message: `Unknown x-normalize "${name}". Available: ${FIELD_NORMALIZERS.join(", ")}` });
+    }
+    for (const name of toList(schema["x-validate"])) {
+        if (!VALIDATORS[name]) issues.push({ path: `${path}/x-validate`, message: `Unknown x-validate "${name}". Available: ${FIELD_VALIDATORS.join(", ")}` });
+    }
+
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+        issues.push(...fieldAnnotationIssues(child, `${path}/properties/${key}`));
+    }
+    if (schema.items) issues.push(...fieldAnnotationIssues(schema.items, `${path}/items`));
+    return issues;
+}
+
+// Returns an error message for unknown validator/normalizer names, otherwise null.
+export function checkFieldAnnotations(schema) {
+    const [issue] = fieldAnnotationIssues(schema);
+    return issue ? `${issue.path}: ${issue.message}` : null;
+}
+
+// True when `value` passes every x-validate check of its field (or the field has none).
+export const passesFieldValidation = (value, schema) =>
+    toList(schema && schema["x-validate"]).every(name => !VALIDATORS[name] || VALIDATORS[name].test(value));
+
+function applyNode(value, schema, path, violations) {
+    if (!isPlainObject(schema) || value === undefined || value === null) return value;
+
+    if (Array.isArray(value)) {
+        return schema.items ? value.map((item, i) => applyNode(item, schema.items, `${path}/${i}`, violations)) : value;
+    }
+
+    if (isPlainObject(value)) {
+        if (!schema.properties) return value;
+        const result = { ...value };
+        for (const [key, child] of Object.entries(schema.properties)) {
+            if (key in result) result[key] = applyNode(result[key], child, `${path}/${key}`, violations);
+        }
+        return result;
+    }
+
+    const normalized = toList(schema["x-normalize"]).reduce((current, name) => NORMALIZERS[name] ? NORMALIZERS[name](current) : current, value);
+
+    // Empty strings are "not found", required-ness is the JSON schema's job
+    if (normalized !== "") {
+        for (const name of toList(schema["x-validate"])) {
+            if (VALIDATORS[name] && !VALIDATORS[name].test(normalized)) {
+                violations.push({ path, rule: name, value: normalized, message: `${JSON.stringify(normalized)} ${VALIDATORS[name].message}` });
+            }
+        }
+    }
+
+    return normalized;
+}
+
+// Normalizes the annotated fields of `data` and validates them.
+// Returns { data, violations: [{ path, rule, value, message }] } with JSON pointer paths.
+export function applyFieldAnnotations(data, schema) {
+    const violations = [];
+    const normalized = applyNode(data, schema, "", violations);
+    return { data: normalized, violations };
+}
@@ -1,53 +1,75 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { formatPdfText, pdfToJpegs } from "./pdf.service";
+import { buildPrompt } from "./prompt.service";
+import { withCassette, isReplaying } from "./cassette.service";
 
 const genAI = new GoogleGenerativeAI(process.env.GOOGLE_GENERATIVE_AI_API_KEY);
+// Using gemini-2.5-flash as verified from available models list
+const GEMINI_MODEL = "gemini-2.5-flash";
 
-export async function analyzeWithGemini(file, buffer, docType, schema, customPrompt) {
-    // Using gemini-2.5-flash as verified from available models list
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+export async function analyzeWithGemini({ file, buffer, source = null, docType, schema, customPrompt = null, prompts = null, repair = null, pages = null, inputMode = "vision", pageTexts = null, onUsage = null }) {
+    const model = genAI.getGenerativeModel({ model: GEMINI_MODEL });
     const base64Data = buffer.toString("base64");
-    const schemaString = JSON.stringify(schema, null, 2);
-    let prompt;
-
-    if (customPrompt) {
-        if (customPrompt.includes("{{schema}}")) {
-            prompt = customPrompt.replace("{{schema}}", schemaString);
-        } else {
-            prompt = `${customPrompt}
-    
-    Strictly follow this JSON schema:
-    ${schemaString}
-    
-    Return ONLY the JSON object. No markdown formatting, no backticks.`;
-        }
-    } else {
-        prompt = `
-    You are an expert document parser. 
-    Please extract information from this ${docType} and return it in JSON format.
-    
-    Strictly follow this JSON schema:
-    ${schemaString}
-    
-    Return ONLY the JSON object. No markdown formatting, no backticks.
-  `;
-    }
+    // Gemini gets the schema in the prompt only
+    const prompt = buildPrompt({
+        customPrompt,
+        prompts,
+        provider: "gemini",
+        docType,
+        schemaText: JSON.stringify(schema, null, 2),
+        inputMode,
+        pages,
+        appendSchema: true,
+    });
 
     // Log Prompt
     console.log("--- Gemini Request Prompt ---");
     console.log(prompt);
     console.log("-----------------------------");
 
-    const result = await model.generateContent([
-        prompt,
-        {
+    const parts = [{ text: prompt }];
+
+    // "text" and "hybrid" send the PDF text layer, "hybrid" adds the document itself
+    const documentText = inputMode !== "vision" && pageTexts ? formatPdfText(pageTexts, pages) : "";
+    if (documentText) {
+        parts.push({ text: `Text layer of the document:\n\n${documentText}` });
+    }
+    if (inputMode !== "text" && pages && file.type === "application/pdf") {
+        // A page window ({ firstPage, count }, e.g. one document of a split PDF) is sent as page images
+        // Replayed calls never send the images (see cassette.service.js)
+        const jpegBuffers = isReplaying() ? [] : await pdfToJpegs(buffer, { density: 200, quality: 80, firstPage: pages.firstPage, maxPages: pages.count });
+        parts.push(...jpegBuffers.map(b => ({ inlineData: { data: b.toString("base64"), mimeType: "image/jpeg" } })));
+    } else if (inputMode !== "text") {
+        parts.push({
             inlineData: {
                 data: base64Data,
                 mimeType: file.type,
             },
-        },
-    ]);
+        });
+    }
+
+    const contents = [{ role: "user", parts }];
 
-    const responseText = result.response.text();
+    // Repair turn: replay the previous answer and ask for a corrected one
+    if (repair) {
+        contents.push(
+            { role: "model", parts: [{ text: JSON.stringify(repair.previousOutput) }] },
+            { role: "user", parts: [{ text: repair.message }] },
+        );
+    }
+
+    // The SDK's response object is not plain JSON: its text and token counts are what gets recorded
+    const response = await withCassette("gemini", { model: GEMINI_MODEL, contents }, { buffer, source, pages }, async () => {
+        const result = await model.generateContent({ contents });
+        return { text: result.response.text(), usageMetadata: result.response.usageMetadata || null };
+    });
+
+    const responseText = response.text;
+
+    const usage = response.usageMetadata;
+    if (onUsage && usage) {
+        onUsage({ inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0, totalTokens: usage.totalTokenCount || 0 });
+    }
 
     // Log Response
     console.log("--- Gemini Full Response ---");
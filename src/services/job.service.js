@@ -0,0 +1,186 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+import { runRecognition } from "./recognition.service";
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(process.cwd(), "data/jobs");
+const JOBS_CONCURRENCY = Math.max(1, Number(process.env.JOBS_CONCURRENCY) || 2);
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"];
+
+// Next.js bundles every route separately, so module-level state would be duplicated
+// between /api/jobs and /api/jobs/[id]. Keep the queue on globalThis instead.
+const state = globalThis.__recognitionJobs || (globalThis.__recognitionJobs = {
+    jobs: new Map(),
+    queue: [],
+    running: 0,
+    loading: null,
+    // Pending save per job id, see saveJob()
+    saves: new Map(),
+});
+
+const jobPath = (id) => path.join(JOBS_DIR, `${id}.json`);
+const inputPath = (id) => path.join(JOBS_DIR, `${id}.input`);
+
+async function saveJob(job) {
+    // Saves of one job (worker progress, a cancel) run one after another: they share the tmp
+    // file, and the state written last must be the latest one
+    const previous = state.saves.get(job.id) || Promise.resolve();
+    const saving = previous.catch(() => {}).then(async () => {
+        // Write-then-rename so a crash never leaves a half-written job file behind
+        const tmpPath = `${jobPath(job.id)}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(job, null, 2), "utf8");
+        await fs.rename(tmpPath, jobPath(job.id));
+    });
+    state.saves.set(job.id, saving);
+    try {
+        await saving;
+    } finally {
+        if (state.saves.get(job.id) === saving) state.saves.delete(job.id);
+    }
+}
+
+// Restores persisted jobs once per process. Jobs that were queued or running when
+// the server stopped are queued again.
+function ensureLoaded() {
+    if (!state.loading) {
+        state.loading = (async () => {
+            await fs.mkdir(JOBS_DIR, { recursive: true });
+            const files = (await fs.readdir(JOBS_DIR)).filter(f => f.endsWith(".json"));
+
+            const pending = [];
+            for (const file of files) {
+                try {
+                    const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), "utf8"));
+                    state.jobs.set(job.id, job);
+                    if (!FINISHED_STATUSES.includes(job.status)) pending.push(job);
+                } catch (e) {
+                    console.error(`Skipping unreadable job file ${file}:`, e);
+                }
+            }
+
+            pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            for (const job of pending) {
+                job.status = "queued";
+                job.startedAt = null;
+                await saveJob(job);
+                state.queue.push(job.id);
+            }
+            if (pending.length) console.log(`Restored ${pending.length} pending recognition job(s)`);
+            pump();
+        })().catch((error) => {
+            // Retry on the next request instead of failing every later one
+            state.loading = null;
+            throw error;
+        });
+    }
+    return state.loading;
+}
+
+function pump() {
+    while (state.running < JOBS_CONCURRENCY && state.queue.length) {
+        const job = state.jobs.get(state.queue.shift());
+        if (!job || job.status !== "queued") continue;
+
+        state.running++;
+        runJob(job).finally(() => {
+            state.running--;
+            pump();
+        });
+    }
+}
+
+async function runJob(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    try {
+        await saveJob(job);
+        const buffer = await fs.readFile(inputPath(job.id));
+        const result = await runRecognition({ buffer, mimeType: job.file.mimeType, name: job.file.name }, job.options);
+        // Cancelled while the provider was working: drop the result
+        if (job.status === "cancelled") return;
+        job.status = "completed";
+        job.result = result;
+    } catch (error) {
+        if (job.status === "cancelled") return;
+        console.error(`Recognition job ${job.id} failed:`, error);
+        job.status = "failed";
+        job.error = error.message || "Internal server error";
+    } finally {
+        if (job.status !== "cancelled") {
+            job.finishedAt = new Date().toISOString();
+            await saveJob(job).catch(e => console.error(`Failed to save job ${job.id}:`, e));
+        }
+        await fs.rm(inputPath(job.id), { force: true }).catch(e => console.error(`Failed to remove the input of job ${job.id}:`, e));
+    }
+}
+
+function toPublicJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        docType: job.options.docType,
+        modelProvider: job.options.modelProvider,
+        file: job.file,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        result: job.result,
+        error: job.error,
+    };
+}
+
+export async function createJob(file, options) {
+    await ensureLoaded();
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: "queued",
+        file: { name: file.name, mimeType: file.mimeType, size: file.buffer.length },
+        options,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        result: null,
+        error: null,
+    };
+
+    await fs.writeFile(inputPath(job.id), file.buffer);
+    await saveJob(job);
+    state.jobs.set(job.id, job);
+    state.queue.push(job.id);
+    pump();
+
+    return toPublicJob(job);
+}
+
+export async function getJob(id) {
+    await ensureLoaded();
+    const job = state.jobs.get(id);
+    return job ? toPublicJob(job) : null;
+}
+
+// Cancels a queued or running job. A running provider call cannot be interrupted,
+// its result is discarded when it returns. Finished jobs are deleted instead.
+export async function cancelJob(id) {
+    await ensureLoaded();
+    const job = state.jobs.get(id);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+        state.jobs.delete(id);
+        // A save still in flight would write the file again after it is removed
+        await (state.saves.get(id) || Promise.resolve()).catch(() => {});
+        await fs.rm(jobPath(id), { force: true });
+        return { ...toPublicJob(job), deleted: true };
+    }
+
+    state.queue = state.queue.filter(queuedId => queuedId !== id);
+    job.status = "cancelled";
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    await fs.rm(inputPath(id), { force: true });
+
+    return toPublicJob(job);
+}
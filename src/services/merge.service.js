@@ -0,0 +1,78 @@
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isEmptyValue = (value) => value === undefined || value === null || value === "";
+
+// Comparison key for array items: key order and whitespace/case differences between
+// two readings of the same row must not matter.
+function itemKey(value) {
+    if (Array.isArray(value)) return `[${value.map(itemKey).join(",")}]`;
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().filter(k => !isEmptyValue(value[k])).map(k => `${k}:${itemKey(value[k])}`).join(",")}}`;
+    }
+    if (typeof value === 'string') return JSON.stringify(value.trim().replace(/\s+/g, " ").toLowerCase());
+    return JSON.stringify(value);
+}
+
+// Number of items at the start of `next` that repeat the end of `acc`. Windows overlap
+// by a page, so rows on that page are extracted twice.
+function boundaryOverlap(acc, next) {
+    for (let k = Math.min(acc.length, next.length); k > 0; k--) {
+        const tail = acc.slice(-k).map(itemKey);
+        const head = next.slice(0, k).map(itemKey);
+        if (tail.every((key, i) => key === head[i])) return k;
+    }
+    return 0;
+}
+
+function mergeNodes(nodes, schema = {}) {
+    const present = nodes.filter(n => n.data !== undefined);
+    if (present.length === 0) return { data: undefined, metadata: undefined };
+
+    // Arrays (invoiceRows, transactions, drawdowns, ...) are concatenated in page order
+    if (schema.type === 'array' || present.some(n => Array.isArray(n.data))) {
+        const data = [];
+        const metadata = [];
+        for (const node of present) {
+            const items = Array.isArray(node.data) ? node.data : [];
+            const metas = Array.isArray(node.metadata) ? node.metadata : [];
+            const skip = boundaryOverlap(data, items);
+            items.slice(skip).forEach((item, i) => {
+                data.push(item);
+                metadata.push(metas[skip + i] ?? null);
+            });
+        }
+        return { data, metadata };
+    }
+
+    // Header objects are merged field by field
+    if (schema.type === 'object' || present.some(n => isPlainObject(n.data))) {
+        const keys = [...new Set([
+            ...Object.keys(schema.properties || {}),
+            ...present.flatMap(n => isPlainObject(n.data) ? Object.keys(n.data) : []),
+        ])];
+
+        const data = {};
+        const metadata = {};
+        for (const key of keys) {
+            const child = mergeNodes(present.map(n => ({
+                data: isPlainObject(n.data) ? n.data[key] : undefined,
+                metadata: isPlainObject(n.metadata) ? n.metadata[key] : undefined,
+            })), (schema.properties || {})[key]);
+
+            if (child.data !== undefined) {
+                data[key] = child.data;
+                metadata[key] = child.metadata ?? null;
+            }
+        }
+        return { data, metadata };
+    }
+
+    // Scalars: the first window that actually has a value wins
+    const winner = present.find(n => !isEmptyValue(n.data)) || present[0];
+    return { data: winner.data, metadata: winner.metadata ?? null };
+}
+
+// Merges the results of the page windows of one document (in page order) into a
+// single result. `chunks` is [{ data, metadata }], metadata may be undefined.
+export function mergeChunkResults(chunks, schema) {
+    return mergeNodes(chunks, schema);
+}
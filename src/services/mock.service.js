@@ -0,0 +1,207 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Fake extraction for development and integration tests without API keys: the answer is
+// generated from the JSON schema (enums, formats, min/max, and field names such as "iban"
+// or "dueDate" for plausible values) with randomness seeded by the document, so the same
+// file always gives the same data. A fixture file per docType overrides generated fields.
+// Latency, timeouts, malformed JSON, provider errors and schema-violating answers can be
+// simulated to exercise the error paths.
+
+export const MOCK_FAILURES = ["timeout", "malformed", "error", "invalid"];
+
+// On by default outside production
+export const MOCK_PROVIDER_ENABLED = process.env.MOCK_PROVIDER
+    ? process.env.MOCK_PROVIDER === "true"
+    : process.env.NODE_ENV !== "production";
+
+const MOCK_SEED = process.env.MOCK_SEED || "mock";
+const MOCK_FIXTURES_DIR = process.env.MOCK_FIXTURES_DIR || path.join(process.cwd(), "data/mock");
+// "800" or a range "200-1500"
+const MOCK_LATENCY_MS = process.env.MOCK_LATENCY_MS || "0";
+const MOCK_FAILURE = process.env.MOCK_FAILURE || null;
+const MOCK_FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE ?? 1);
+const MOCK_TIMEOUT_MS = Number(process.env.MOCK_TIMEOUT_MS) || 10000;
+
+if (MOCK_FAILURE && !MOCK_FAILURES.includes(MOCK_FAILURE)) {
+    throw new Error(`MOCK_FAILURE must be one of: ${MOCK_FAILURES.join(", ")}`);
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// mulberry32, seeded from a hash of `seedText`: numbers in [0, 1)
+function createRandom(seedText) {
+    let state = crypto.createHash("sha256").update(seedText).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const between = (random, min, max) => min + random() * (max - min);
+const integer = (random, min, max) => Math.floor(between(random, min, max + 1));
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+const digits = (random, count) => Array.from({ length: count }, () => integer(random, 0, 9)).join("");
+const pad = (n) => String(n).padStart(2, "0");
+
+const COMPANIES = ["Acme s.r.o.", "Tatra Trading a.s.", "Danube Logistics s.r.o.", "Nordic Supplies GmbH", "Carpathia Foods a.s."];
+const PEOPLE = ["Jana Nováková", "Peter Horváth", "Martin Kováč", "Eva Svobodová", "Tomáš Varga"];
+const STREETS = ["Hlavná 12, 811 01 Bratislava", "Mlynská 4, 040 01 Košice", "Dlhá 88, 949 01 Nitra", "Štúrova 3, 010 01 Žilina"];
+const BANKS = ["Slovenská sporiteľňa", "Tatra banka", "VÚB banka", "ČSOB"];
+const ITEMS = ["Consulting services", "Office supplies", "Software licence", "Transport", "Maintenance", "Hardware"];
+
+// Slovak IBAN with valid MOD-97 check digits
+function fakeIban(random) {
+    const bban = digits(random, 20);
+    const numeric = `${bban}282000`; // "SK00" moved to the end, S=28, K=20
+    const check = 98n - BigInt(numeric) % 97n;
+    return `SK${String(check).padStart(2, "0")}${bban}`;
+}
+
+// Slovak VAT ID: ten digits divisible by 11
+function fakeVatId(random) {
+    return `SK${integer(random, 90909091, 909090909) * 11}`;
+}
+
+const fakeDate = (random) => `${integer(random, 2023, 2025)}-${pad(integer(random, 1, 12))}-${pad(integer(random, 1, 28))}`;
+
+function fakeString(key, schema, random) {
+    const name = key.toLowerCase();
+    if (schema.format === "date" || name.includes("date")) return fakeDate(random);
+    if (schema.format === "email" || name.includes("email")) return `${pick(random, ["info", "billing", "office"])}@example.com`;
+    if (name.includes("iban")) return fakeIban(random);
+    if (name.includes("currency")) return pick(random, ["EUR", "EUR", "CZK", "USD"]);
+    if (name.includes("variablesymbol")) return digits(random, 10);
+    if (name.includes("vat") || name.includes("taxid")) return fakeVatId(random);
+    if (name.includes("accountnumber")) return `${digits(random, 10)}/${pick(random, ["0900", "1100", "0200"])}`;
+    if (name.endsWith("number")) return `${name.slice(0, 3).toUpperCase()}-${integer(random, 2023, 2025)}-${digits(random, 4)}`;
+    if (name.includes("holder") || name.includes("borrower") || name.includes("person")) return pick(random, PEOPLE);
+    if (name.includes("bank")) return pick(random, BANKS);
+    if (name.includes("address")) return pick(random, STREETS);
+    if (name.includes("name") || name.includes("lender") || name.includes("vendor") || name.includes("customer")) return pick(random, COMPANIES);
+    if (name.includes("description") || name.includes("item")) return pick(random, ITEMS);
+    return `${key} ${integer(random, 1, 999)}`;
+}
+
+function fakeNumber(key, schema, random, isInteger) {
+    const name = key.toLowerCase();
+    let [min, max] = name.includes("confidence") ? [0.6, 0.99]
+        : name.includes("rate") || name.includes("percent") ? [0.5, 12]
+        : /quantity|count|months|term|days/.test(name) ? [1, 60]
+        : [10, 10000];
+    if (typeof schema.minimum === 'number') min = Math.max(min, schema.minimum);
+    if (typeof schema.maximum === 'number') max = Math.min(max, schema.maximum);
+    if (min > max) [min, max] = [schema.minimum ?? max, schema.maximum ?? min];
+    if (isInteger || /quantity|count|months|term|days/.test(name)) return integer(random, Math.ceil(min), Math.floor(max));
+    return Math.round(between(random, min, max) * 100) / 100;
+}
+
+/**
+ * A value that matches `schema`. `key` is the property name, used for plausible strings and numbers.
+ */
+export function generateFromSchema(schema, random, key = "value") {
+    if (!isPlainObject(schema)) return null;
+    if ("const" in schema) return schema.const;
+    if (Array.isArray(schema.enum) && schema.enum.length) return pick(random, schema.enum);
+
+    const types = [].concat(schema.type || (schema.properties ? "object" : schema.items ? "array" : "string"));
+    const type = types.find(t => t !== "null") || "null";
+    switch (type) {
+        case "object":
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, generateFromSchema(property, random, name)]));
+        case "array": {
+            const min = schema.minItems ?? 1;
+            const max = Math.max(min, schema.maxItems ?? 4);
+            // Items of "invoiceRows" are named after the array for the key heuristics
+            return Array.from({ length: integer(random, min, Math.min(max, min + 5)) }, () => generateFromSchema(schema.items, random, key));
+        }
+        case "number":
+        case "integer":
+            return fakeNumber(key, schema, random, type === "integer");
+        case "boolean":
+            return random() < 0.5;
+        case "string":
+            return fakeString(key, schema, random);
+        default:
+            return null;
+    }
+}
+
+// Fixture values replace generated ones; objects are merged, arrays and scalars replaced
+function applyFixture(data, fixture) {
+    if (!isPlainObject(data) || !isPlainObject(fixture)) return fixture;
+    const merged = { ...data };
+    for (const [key, value] of Object.entries(fixture)) {
+        merged[key] = key in data ? applyFixture(data[key], value) : value;
+    }
+    return merged;
+}
+
+async function loadFixture(docType) {
+    if (!/^[A-Za-z0-9_-]+$/.test(docType || "")) return null;
+    try {
+        return JSON.parse(await fs.readFile(path.join(MOCK_FIXTURES_DIR, `${docType}.json`), "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw new Error(`Invalid mock fixture ${docType}.json: ${e.message}`);
+    }
+}
+
+function latency(random) {
+    const [min, max = min] = MOCK_LATENCY_MS.split("-").map(Number);
+    return Math.max(0, Math.round(between(random, min || 0, max || 0)));
+}
+
+// The first required property is left out, so the answer fails validation and gets repaired
+function breakData(data, schema) {
+    if (!isPlainObject(data)) return null;
+    const [first] = schema.required || Object.keys(data);
+    const { [first]: removed, ...rest } = data;
+    return rest;
+}
+
+export async function analyzeWithMock({ buffer, docType, schema, repair = null, pages = null, onUsage = null }) {
+    // The same document, docType and page window always produce the same answer
+    const seed = `${MOCK_SEED}:${crypto.createHash("sha256").update(buffer).digest("hex")}:${docType}:${JSON.stringify(pages)}`;
+    const random = createRandom(seed);
+    const failureRandom = createRandom(`${seed}:failure`);
+    const failing = MOCK_FAILURE && failureRandom() < MOCK_FAILURE_RATE;
+
+    await sleep(latency(failureRandom));
+
+    if (failing && MOCK_FAILURE === "timeout") {
+        await sleep(MOCK_TIMEOUT_MS);
+        throw new Error(`Mock provider timed out after ${MOCK_TIMEOUT_MS}ms`);
+    }
+    if (failing && MOCK_FAILURE === "error") {
+        throw new Error("Mock HTTP 500: simulated provider error");
+    }
+
+    const fixture = await loadFixture(docType);
+    let data = generateFromSchema(schema, random, docType);
+    if (fixture) data = applyFixture(data, fixture);
+    // A repair turn answers correctly
+    if (failing && MOCK_FAILURE === "invalid" && !repair) data = breakData(data, schema);
+
+    const responseText = failing && MOCK_FAILURE === "malformed"
+        ? JSON.stringify(data).slice(0, -7)
+        : JSON.stringify(data);
+
+    if (onUsage) {
+        const inputTokens = 250 + Math.ceil(JSON.stringify(schema).length / 4);
+        const outputTokens = Math.ceil(responseText.length / 4);
+        onUsage({ inputTokens, outputTokens, totalTokens: inputTokens + outputTokens });
+    }
+
+    try {
+        return JSON.parse(responseText);
+    } catch (e) {
+        console.error("Failed to parse mock response:", responseText);
+        throw new Error("Failed to parse document from Mock");
+    }
+}
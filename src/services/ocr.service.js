@@ -0,0 +1,68 @@
+import { promises as fs } from "fs";
+import path from "path";
+import os from "os";
+import { execFile } from "child_process";
+import util from "util";
+import { pdfToJpegs } from "./pdf.service";
+import { analyzeWithOpenAI } from "./openai.service";
+import { extractWithRules } from "./rule-extraction.service";
+
+const execFilePromise = util.promisify(execFile);
+
+const TESSERACT_PATH = process.env.TESSERACT_PATH || "tesseract";
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || "eng";
+export const OCR_LOCAL_LLM = process.env.OCR_LOCAL_LLM === "true";
+
+// Runs Tesseract on each image, returns the recognised text per image.
+async function runTesseract(images) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "ocr-"));
+
+    try {
+        const texts = [];
+        for (const [i, image] of images.entries()) {
+            const imagePath = path.join(tempDir, `page-${i}.jpg`);
+            await fs.writeFile(imagePath, image);
+
+            // No shell: paths and env values are passed as arguments, never parsed
+            const { stdout } = await execFilePromise(TESSERACT_PATH, [imagePath, "stdout", "-l", OCR_LANGUAGES], { maxBuffer: 20 * 1024 * 1024 });
+            texts.push(stdout.trim());
+        }
+        return texts;
+    } catch (error) {
+        console.error("OCR failed:", error);
+        throw new Error(`OCR failed. Is Tesseract installed (TESSERACT_PATH=${TESSERACT_PATH}) with the "${OCR_LANGUAGES}" language data?`);
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Text of the document, indexed by absolute page number. A usable PDF text layer
+// (inputMode "text"/"hybrid") is taken as is, everything else goes through OCR.
+export async function recognizeText({ file, buffer, pages = null, inputMode = "vision", pageTexts = null }) {
+    if (pageTexts && inputMode !== "vision") {
+        return pageTexts;
+    }
+
+    if (file.type !== "application/pdf") {
+        return runTesseract([buffer]);
+    }
+
+    const firstPage = pages ? pages.firstPage : 0;
+    const images = await pdfToJpegs(buffer, { maxPages: pages ? pages.count : 10, firstPage });
+    const texts = await runTesseract(images);
+    return [...Array(firstPage).fill(""), ...texts];
+}
+
+// Offline extraction: OCR, then either the local LLM (OCR_LOCAL_LLM=true) or the
+// rule-based mapper turns the text into the requested schema.
+export async function analyzeWithOcr(request) {
+    const pageTexts = await recognizeText(request);
+
+    if (OCR_LOCAL_LLM) {
+        return analyzeWithOpenAI({ ...request, provider: "local", inputMode: "text", pageTexts });
+    }
+
+    const firstPage = request.pages ? request.pages.firstPage : 0;
+    const count = request.pages ? request.pages.count : pageTexts.length;
+    return extractWithRules(pageTexts.slice(firstPage, firstPage + count).join("\n"), request.schema);
+}
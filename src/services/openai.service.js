@@ -1,7 +1,9 @@
 import OpenAI from "openai";
 import { ProxyAgent } from "undici";
 import { enforceStrictSchema } from "./schema.service";
-import { pdfToJpegs } from "./pdf.service";
+import { pdfToJpegs, formatPdfText } from "./pdf.service";
+import { buildPrompt } from "./prompt.service";
+import { withCassette, isReplaying } from "./cassette.service";
 
 const OPENAI_TIMEOUT = Number(process.env.OPENAI_TIMEOUT_MS) || 300000;
 const proxyUrl = process.env.HTTPS_PROXY || process.env.HTTP_PROXY;
@@ -12,7 +14,13 @@ const longFetch = (url, init = {}) => {
     return fetch(url, { ...init, signal, cache: 'no-store', dispatcher });
 };
 
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, timeout: OPENAI_TIMEOUT, fetch: longFetch });
+// Created lazily: the SDK throws on construction when OPENAI_API_KEY is missing,
+// which would otherwise break every route importing this module.
+let openai;
+const getOpenAIClient = () => {
+    if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, timeout: OPENAI_TIMEOUT, fetch: longFetch });
+    return openai;
+};
 
 // Azure OpenAI configuration
 const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY;
@@ -20,26 +28,42 @@ const AZURE_OPENAI_RESOURCE = process.env.AZURE_OPENAI_RESOURCE_NAME;
 const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION;
 const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT;
 
-export async function analyzeWithOpenAI(file, buffer, docType, schema, provider = "openai", enforceJsonSchema = true, customPrompt = null) {
-    let userContent;
+// Local / self-hosted OpenAI-compatible server (Ollama, vLLM, LM Studio, ...)
+const LOCAL_LLM_BASE_URL = process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1";
+const LOCAL_LLM_MODEL = process.env.LOCAL_LLM_MODEL;
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY;
+const LOCAL_LLM_JSON_SCHEMA = process.env.LOCAL_LLM_JSON_SCHEMA !== "false";
+
+export async function analyzeWithOpenAI({ file, buffer, source = null, docType, schema, provider = "openai", enforceJsonSchema = true, customPrompt = null, prompts = null, repair = null, pages = null, inputMode = "vision", pageTexts = null, onUsage = null }) {
+    const userContent = [];
+
+    // "text" and "hybrid" send the PDF text layer, "hybrid" adds the page images
+    const documentText = inputMode !== "vision" && pageTexts ? formatPdfText(pageTexts, pages) : "";
+    if (documentText) {
+        userContent.push({ type: "text", text: `Text layer of the document:\n\n${documentText}` });
+    }
 
-    if (file.type === "application/pdf") {
-        const jpegBuffers = await pdfToJpegs(buffer, { density: 200, quality: 80 });
-        userContent = jpegBuffers.map(b => ({
+    if (inputMode !== "text" && file.type === "application/pdf") {
+        // `pages` ({ firstPage, count }) selects a window when a long PDF is processed in chunks
+        // Replayed calls never send the images (see cassette.service.js)
+        const jpegBuffers = isReplaying() ? [] : await pdfToJpegs(buffer, {
+            density: 200,
+            quality: 80,
+            ...(pages && { firstPage: pages.firstPage, maxPages: pages.count }),
+        });
+        userContent.push(...jpegBuffers.map(b => ({
             type: "image_url",
             image_url: { url: `data:image/jpeg;base64,${b.toString("base64")}` },
-        }));
-    } else {
+        })));
+    } else if (inputMode !== "text") {
         // It's an image, use Vision
         const base64Data = buffer.toString("base64");
-        userContent = [
-            {
-                type: "image_url",
-                image_url: {
-                    url: `data:${file.type};base64,${base64Data}`,
-                },
+        userContent.push({
+            type: "image_url",
+            image_url: {
+                url: `data:${file.type};base64,${base64Data}`,
             },
-        ];
+        });
     }
 
     // Enforce strict schema
@@ -50,34 +74,34 @@ export async function analyzeWithOpenAI(file, buffer, docType, schema, provider
     console.log(JSON.stringify(userContent, null, 2));
     console.log("-----------------------------");
 
-    const defaultPrompt = `You are an expert document parser. You are extracting data about list of drawdowns (invoice number, variable symbol, amount and iban (bank account) to where money will be sent). Focus, do not make mistakes. This is a scan. IBANS have to be valid. Be careful with errors like 8-6, 5-3 similiar numbers etc. Extract information from this ${docType}.`;
-    let systemMessage;
-
-    if (customPrompt) {
-        if (customPrompt.includes("{{schema}}")) {
-             systemMessage = customPrompt.replace("{{schema}}", JSON.stringify(schema));
-        } else {
-             // No placeholder.
-             if (enforceJsonSchema) {
-                 systemMessage = customPrompt;
-             } else {
-                 systemMessage = `${customPrompt} Return the output as a valid JSON object adhering to this schema: ${JSON.stringify(schema)}`;
-             }
-        }
-    } else {
-        // Default
-        if (enforceJsonSchema) {
-             systemMessage = defaultPrompt;
-        } else {
-             systemMessage = `${defaultPrompt} Return the output as a valid JSON object adhering to this schema: ${JSON.stringify(schema)}`;
-        }
-    }
+    // Without structured output the schema has to be part of the prompt
+    const buildSystemMessage = (withJsonSchema) => buildPrompt({
+        customPrompt,
+        prompts,
+        provider,
+        docType,
+        schemaText: JSON.stringify(schema),
+        inputMode,
+        pages,
+        appendSchema: !withJsonSchema,
+    });
+
+    // Local servers may not implement structured output; fall back to loose mode for them
+    const useJsonSchema = enforceJsonSchema && (provider !== "local" || LOCAL_LLM_JSON_SCHEMA);
+    const systemMessage = buildSystemMessage(useJsonSchema);
+
+    // Repair turn: replay the previous answer and ask for a corrected one
+    const repairMessages = repair ? [
+        { role: "assistant", content: JSON.stringify(repair.previousOutput) },
+        { role: "user", content: repair.message },
+    ] : [];
 
     let response;
 
     if (provider === "azure-openai") {
         const deployment = AZURE_OPENAI_DEPLOYMENT;
-        if (!AZURE_OPENAI_RESOURCE || !AZURE_OPENAI_API_KEY || !deployment) {
+        // Replayed responses need the deployment (it is part of the request) but no key
+        if (!AZURE_OPENAI_RESOURCE || !(AZURE_OPENAI_API_KEY || isReplaying()) || !deployment) {
             throw new Error("Azure OpenAI environment is not fully configured");
         }
 
@@ -105,6 +129,7 @@ export async function analyzeWithOpenAI(file, buffer, docType, schema, provider
                     role: "user",
                     content: userContent,
                 },
+                ...repairMessages,
             ],
             ...(enforceJsonSchema && {
                 response_format: {
@@ -128,17 +153,85 @@ export async function analyzeWithOpenAI(file, buffer, docType, schema, provider
         if (requestBody.response_format) console.log("response_format present: json_schema");
         console.log("----------------------------");
 
-        const fetchResp = await longFetch(urlToCall, {
-            method: "POST",
-            headers: { "content-type": "application/json", "api-key": AZURE_OPENAI_API_KEY },
-            body: JSON.stringify(requestBody)
+        response = await withCassette("azure-openai", requestBody, { buffer, source, pages }, async () => {
+            const fetchResp = await longFetch(urlToCall, {
+                method: "POST",
+                headers: { "content-type": "application/json", "api-key": AZURE_OPENAI_API_KEY },
+                body: JSON.stringify(requestBody)
+            });
+
+            if (!fetchResp.ok) {
+                const errText = await fetchResp.text().catch(() => "");
+                throw new Error(`Azure HTTP ${fetchResp.status}: ${errText}`);
+            }
+            return fetchResp.json();
         });
 
-        if (!fetchResp.ok) {
-            const errText = await fetchResp.text().catch(() => "");
-            throw new Error(`Azure HTTP ${fetchResp.status}: ${errText}`);
+    } else if (provider === "local") {
+        if (!LOCAL_LLM_MODEL) {
+            throw new Error("Local LLM environment is not fully configured");
         }
-        response = await fetchResp.json();
+
+        const buildRequestBody = (withJsonSchema) => ({
+            model: LOCAL_LLM_MODEL,
+            messages: [
+                {
+                    role: "system",
+                    content: withJsonSchema ? systemMessage : buildSystemMessage(false)
+                },
+                {
+                    role: "user",
+                    content: userContent,
+                },
+                ...repairMessages,
+            ],
+            ...(withJsonSchema && {
+                response_format: {
+                    type: "json_schema",
+                    json_schema: {
+                        name: docType,
+                        strict: true,
+                        schema: strictSchema,
+                    },
+                },
+            }),
+        });
+
+        const urlToCall = `${LOCAL_LLM_BASE_URL.replace(/\/+$/, "")}/chat/completions`;
+        const headers = {
+            "content-type": "application/json",
+            ...(LOCAL_LLM_API_KEY && { "authorization": `Bearer ${LOCAL_LLM_API_KEY}` }),
+        };
+
+        console.log("--- Local LLM Request ---");
+        console.log(JSON.stringify({ url: urlToCall, model: LOCAL_LLM_MODEL, jsonSchema: useJsonSchema }, null, 2));
+        console.log("-------------------------");
+
+        // The loose-mode retry belongs to the same recorded call
+        response = await withCassette("local", buildRequestBody(useJsonSchema), { buffer, source, pages }, async () => {
+            let fetchResp = await longFetch(urlToCall, {
+                method: "POST",
+                headers,
+                body: JSON.stringify(buildRequestBody(useJsonSchema))
+            });
+
+            // Servers without structured output support usually reject response_format outright
+            if (useJsonSchema && (fetchResp.status === 400 || fetchResp.status === 422)) {
+                const errText = await fetchResp.text().catch(() => "");
+                console.warn(`Local LLM rejected response_format (HTTP ${fetchResp.status}), retrying in loose mode: ${errText}`);
+                fetchResp = await longFetch(urlToCall, {
+                    method: "POST",
+                    headers,
+                    body: JSON.stringify(buildRequestBody(false))
+                });
+            }
+
+            if (!fetchResp.ok) {
+                const errText = await fetchResp.text().catch(() => "");
+                throw new Error(`Local LLM HTTP ${fetchResp.status}: ${errText}`);
+            }
+            return fetchResp.json();
+        });
 
     } else {
         const requestBody = {
@@ -150,8 +243,9 @@ export async function analyzeWithOpenAI(file, buffer, docType, schema, provider
                 },
                 {
                     role: "user",
-                    content: Array.isArray(userContent) ? userContent : [{ type: "text", text: userContent }],
+                    content: userContent,
                 },
+                ...repairMessages,
             ],
             ...(enforceJsonSchema && {
                 response_format: {
@@ -173,7 +267,13 @@ export async function analyzeWithOpenAI(file, buffer, docType, schema, provider
         if (requestBody.response_format) console.log("response_format present: json_schema");
         console.log("----------------------");
 
-        response = await openai.chat.completions.create(requestBody, { timeout: OPENAI_TIMEOUT });
+        response = await withCassette("openai", requestBody, { buffer, source, pages }, () => getOpenAIClient().chat.completions.create(requestBody, { timeout: OPENAI_TIMEOUT }));
+    }
+
+    // Local servers do not always report usage
+    if (onUsage && response && response.usage) {
+        const { prompt_tokens = 0, completion_tokens = 0, total_tokens = prompt_tokens + completion_tokens } = response.usage;
+        onUsage({ inputTokens: prompt_tokens, outputTokens: completion_tokens, totalTokens: total_tokens });
     }
 
     const content = (response && response.choices && response.choices[0] && response.choices[0].message && response.choices[0].message.content) || "";
@@ -184,8 +284,10 @@ export async function analyzeWithOpenAI(file, buffer, docType, schema, provider
     console.log("Parsed content:", content);
     console.log("----------------------------");
 
+    // Loose mode (and most local models) may still wrap the JSON in markdown fences
+    const cleanedContent = content.replace(/```json/g, "").replace(/```/g, "").trim();
     try {
-        return JSON.parse(content);
+        return JSON.parse(cleanedContent);
     } catch (e) {
         console.error("Failed to parse OpenAI response:", content);
         throw new Error("Failed to parse document from OpenAI");
@@ -24,7 +24,105 @@ export async function extractTextFromPdf(buffer) {
     }
 }
 
-export async function pdfToJpegs(buffer, { density = 200, quality = 80, maxPages = 10 } = {}) {
+const PDF_TEXT_MIN_CHARS_PER_PAGE = Number(process.env.PDF_TEXT_MIN_CHARS_PER_PAGE) || 100;
+
+function parsePdf(buffer) {
+    const pdfParser = new PDFParser();
+    return new Promise((resolve, reject) => {
+        pdfParser.on("pdfParser_dataError", errData => reject(errData.parserError));
+        pdfParser.on("pdfParser_dataReady", pdfData => resolve(pdfData));
+        pdfParser.parseBuffer(buffer);
+    });
+}
+
+const decodeRun = (text) => {
+    try {
+        return decodeURIComponent(text);
+    } catch (e) {
+        return text;
+    }
+};
+
+// Rebuilds the lines of a page from its positioned text runs: runs on the same
+// baseline (within half a unit) form a line, read left to right.
+function pageToText(page) {
+    const runs = (page.Texts || [])
+        .map(t => ({ x: t.x, y: t.y, text: (t.R || []).map(r => decodeRun(r.T)).join("") }))
+        .sort((a, b) => a.y - b.y || a.x - b.x);
+
+    const lines = [];
+    for (const run of runs) {
+        const line = lines[lines.length - 1];
+        if (line && Math.abs(run.y - line.y) < 0.5) {
+            line.runs.push(run);
+        } else {
+            lines.push({ y: run.y, runs: [run] });
+        }
+    }
+
+    return lines
+        .map(line => line.runs.sort((a, b) => a.x - b.x).map(r => r.text).join(" "))
+        .join("\n")
+        .trim();
+}
+
+// Text of every page, in page order (empty strings for pages without a text layer).
+// Reads the positioned text runs rather than getRawTextContent(), which throws on
+// fonts without a space width.
+export async function extractPdfPageTexts(buffer) {
+    try {
+        const pdfData = await parsePdf(buffer);
+        return (pdfData.Pages || []).map(pageToText);
+    } catch (pdfError) {
+        console.error("PDF parsing error:", pdfError);
+        throw new Error("Failed to parse PDF file.");
+    }
+}
+
+// A born-digital PDF has real text on (almost) every page. Scans have none, or only
+// a few characters of stamps and headers.
+export function hasUsableTextLayer(pageTexts) {
+    if (!pageTexts || pageTexts.length === 0) return false;
+    const charsPerPage = pageTexts.map(text => text.replace(/\s/g, "").length);
+    const pagesWithText = charsPerPage.filter(count => count >= PDF_TEXT_MIN_CHARS_PER_PAGE).length;
+    return pagesWithText / pageTexts.length >= 0.8;
+}
+
+// Formats the text layer for the prompt, optionally limited to a page window.
+export function formatPdfText(pageTexts, pages = null) {
+    const firstPage = pages ? pages.firstPage : 0;
+    const count = pages ? pages.count : pageTexts.length;
+    return pageTexts
+        .slice(firstPage, firstPage + count)
+        .map((text, i) => `--- Page ${firstPage + i + 1} ---\n${text}`)
+        .join("\n\n");
+}
+
+// identify prints the format once per page, so only the first line is read
+async function identifyPageCount(inputPath) {
+    const { stdout } = await execPromise(`identify -format "%n\\n" "${inputPath}"`);
+    const totalPages = parseInt(stdout.trim().split("\n")[0], 10);
+    if (isNaN(totalPages)) throw new Error("Failed to determine PDF page count");
+    return totalPages;
+}
+
+export async function getPdfPageCount(buffer) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-count-"));
+    const inputPath = path.join(tempDir, "input.pdf");
+
+    try {
+        await fs.writeFile(inputPath, buffer);
+        return await identifyPageCount(inputPath);
+    } catch (error) {
+        console.error("PDF page count failed:", error);
+        throw new Error("Failed to determine PDF page count");
+    } finally {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Renders pages [firstPage, firstPage + maxPages) (0-based) to JPEG buffers.
+export async function pdfToJpegs(buffer, { density = 200, quality = 80, maxPages = 10, firstPage = 0 } = {}) {
     const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "pdf-convert-"));
     const inputPath = path.join(tempDir, "input.pdf");
     const outputPattern = path.join(tempDir, "output-%d.jpg");
@@ -33,20 +131,19 @@ export async function pdfToJpegs(buffer, { density = 200, quality = 80, maxPages
         await fs.writeFile(inputPath, buffer);
 
         // Get page count
-        const { stdout: pageCountOut } = await execPromise(`identify -format "%n" "${inputPath}"`);
-        const totalPages = parseInt(pageCountOut.trim(), 10);
-        if (isNaN(totalPages)) throw new Error("Failed to determine PDF page count");
+        const totalPages = await identifyPageCount(inputPath);
+        if (firstPage >= totalPages) throw new Error(`PDF has only ${totalPages} pages`);
 
-        const count = Math.min(totalPages, maxPages);
-        const pageRange = `[0-${count - 1}]`;
+        const count = Math.min(totalPages - firstPage, maxPages);
+        if (totalPages - firstPage > maxPages) {
+            console.warn(`PDF has ${totalPages} pages, converting only pages ${firstPage + 1}-${firstPage + count}`);
+        }
+        const pageRange = `[${firstPage}-${firstPage + count - 1}]`;
 
         // Convert to JPEGs
         const cmd = `convert -density ${density} "${inputPath}${pageRange}" -quality ${quality} "${outputPattern}"`;
-        const cmd1 = `convert -density ${density} "${inputPath}${pageRange}" -quality ${quality} "out.jpg"`;
         console.log(`Executing command: ${cmd}`);
         await execPromise(cmd);
-        await execPromise(cmd1);
-        
 
         // Read output files
         const files = await fs.readdir(tempDir);
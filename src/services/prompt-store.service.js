@@ -0,0 +1,41 @@
+import path from "path";
+import { createVersionedStore } from "@/lib/versioned-store";
+import { listProviders } from "./provider.service";
+
+// Prompt templates per docType ({ default, <provider id>: template }), versioned like the
+// schemas in data/prompts/<docType>.json; src/data/prompts.json holds the current ones.
+
+const PROMPTS_FILE = path.join(process.cwd(), "src/data/prompts.json");
+const PROMPT_HISTORY_DIR = process.env.PROMPT_HISTORY_DIR || path.join(process.cwd(), "data/prompts");
+
+const store = createVersionedStore({ name: "prompts", currentFile: PROMPTS_FILE, historyDir: PROMPT_HISTORY_DIR, field: "prompts" });
+
+// Keys a prompt set may have: "default" and every provider that sends a prompt
+// (ocr-local prompts through the local provider, consensus through its members)
+export const promptKeys = () => ["default", ...listProviders().filter(p => !p.capabilities.consensus && p.id !== "ocr-local").map(p => p.id)];
+
+// Returns an error message when `prompts` cannot be stored, otherwise null.
+export function checkPromptsForSave(prompts) {
+    if (!prompts || typeof prompts !== 'object' || Array.isArray(prompts)) {
+        return "Prompts must be a JSON object of templates";
+    }
+    const keys = promptKeys();
+    for (const [key, template] of Object.entries(prompts)) {
+        if (!keys.includes(key)) return `Unknown prompt "${key}". Available: ${keys.join(", ")}`;
+        if (typeof template !== 'string' || !template.trim()) return `Prompt "${key}" must be a non-empty string`;
+    }
+    return null;
+}
+
+// The current prompt set of a docType, null when it has none
+export async function getPrompts(docType) {
+    const entry = await store.getVersion(docType);
+    return entry ? entry.prompts : null;
+}
+
+export const getPromptsVersion = (docType, version = null) => store.getVersion(docType, version);
+export const listPromptVersions = (docType) => store.listVersions(docType);
+export const savePrompts = (docType, prompts, details) => store.save(docType, prompts, details);
+export const deletePrompts = (docType, details) => store.remove(docType, details);
+export const rollbackPrompts = (docType, version, details) => store.rollback(docType, version, details);
+export const diffPromptVersions = (docType, from, to = null) => store.diff(docType, from, to);
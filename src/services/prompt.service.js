@@ -0,0 +1,41 @@
+// Prompt templates are managed per docType in src/data/prompts.json (prompt-store.service.js):
+//   { "<docType>": { "default": "...", "<provider id>": "..." } }
+// A request's customPrompt wins over the docType's template for the provider, then its
+// default template, then DEFAULT_PROMPT_TEMPLATE.
+
+// {{pages}} is the 1-based page window of a chunked PDF ("1-10"), otherwise "all"
+export const PROMPT_VARIABLES = ["schema", "docType", "provider", "inputMode", "pages"];
+
+export const DEFAULT_PROMPT_TEMPLATE = "You are an expert document parser. Please extract information from this {{docType}} and return it in JSON format.";
+
+export function selectPromptTemplate({ customPrompt = null, prompts = null, provider }) {
+    if (customPrompt) return customPrompt;
+    return (prompts && (prompts[provider] || prompts.default)) || DEFAULT_PROMPT_TEMPLATE;
+}
+
+const SCHEMA_PLACEHOLDER = /\{\{\s*schema\s*\}\}/;
+
+// Fills in the {{variables}} of the selected template, unknown ones are left as they are.
+// Without a {{schema}} placeholder the schema is appended when `appendSchema` is set
+// (the provider does not get it as structured output).
+export function buildPrompt({ customPrompt = null, prompts = null, provider, docType, schemaText, inputMode = null, pages = null, appendSchema }) {
+    const template = selectPromptTemplate({ customPrompt, prompts, provider });
+    const variables = {
+        schema: schemaText,
+        docType,
+        provider,
+        inputMode,
+        pages: pages ? `${pages.firstPage + 1}-${pages.firstPage + pages.count}` : "all",
+    };
+
+    const prompt = template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+        variables[name] === undefined || variables[name] === null ? match : String(variables[name]));
+
+    if (!appendSchema || SCHEMA_PLACEHOLDER.test(template)) return prompt;
+    return `${prompt}
+
+Strictly follow this JSON schema:
+${schemaText}
+
+Return ONLY the JSON object. No markdown formatting, no backticks.`;
+}
@@ -0,0 +1,124 @@
+import { analyzeWithOpenAI } from "./openai.service";
+import { analyzeWithGemini } from "./gemini.service";
+import { analyzeWithOcr, OCR_LOCAL_LLM } from "./ocr.service";
+import { isReplaying } from "./cassette.service";
+import { analyzeWithMock, MOCK_PROVIDER_ENABLED } from "./mock.service";
+
+// Every provider exposes the same shape so the API routes never need to know
+// which SDK sits behind an id:
+//   id            - value accepted as `modelProvider`
+//   label         - human readable name for the UI
+//   capabilities  - { nativePdf, strictJsonSchema, boundingBoxes, maxPages } (maxPages null = no limit)
+//                   rule-based providers also set { repair: false, fieldMetadata: false }
+//                   the consensus provider sets { consensus: true } and is run by runRecognition()
+//   isConfigured  - () => boolean, true when the required env vars are present (no API keys when replaying, see cassette.service.js)
+//   analyze       - ({ file, buffer, docType, schema, enforceJsonSchema, customPrompt, prompts, repair, pages, inputMode, pageTexts, onUsage }) => Promise<object>
+//                   `prompts` are the docType's stored templates, see prompt.service.js
+//                   `repair` ({ previousOutput, message }) asks for a corrected version of a previous answer
+//                   `pages` ({ firstPage, count }, 0-based) limits a PDF to a page window (chunks of providers
+//                   with maxPages, documents of a split PDF, the first pages for classification)
+//                   `inputMode` ("text" | "vision" | "hybrid") with `pageTexts` selects what is sent: text layer, images or both
+//                   `onUsage` ({ inputTokens, outputTokens, totalTokens }) => void, called by model providers with the token counts of the call
+const providers = new Map();
+
+export function registerProvider(provider) {
+    if (!provider || !provider.id || typeof provider.analyze !== 'function') {
+        throw new Error("Provider must have an id and an analyze function");
+    }
+    providers.set(provider.id, provider);
+    return provider;
+}
+
+export function getProvider(id) {
+    return providers.get(id);
+}
+
+export function getProviderIds() {
+    return [...providers.keys()];
+}
+
+export function listProviders() {
+    return [...providers.values()].map(p => ({
+        id: p.id,
+        label: p.label,
+        configured: p.isConfigured(),
+        capabilities: p.capabilities,
+    }));
+}
+
+registerProvider({
+    id: "gemini",
+    label: "Gemini 2.5 Flash",
+    capabilities: { nativePdf: true, strictJsonSchema: false, boundingBoxes: true, maxPages: null },
+    isConfigured: () => isReplaying() || Boolean(process.env.GOOGLE_GENERATIVE_AI_API_KEY),
+    analyze: (request) => analyzeWithGemini(request),
+});
+
+registerProvider({
+    id: "openai",
+    label: "OpenAI GPT-5",
+    capabilities: { nativePdf: false, strictJsonSchema: true, boundingBoxes: false, maxPages: 10 },
+    isConfigured: () => isReplaying() || Boolean(process.env.OPENAI_API_KEY),
+    analyze: (request) => analyzeWithOpenAI({ ...request, provider: "openai" }),
+});
+
+registerProvider({
+    id: "azure-openai",
+    label: "Azure OpenAI",
+    capabilities: { nativePdf: false, strictJsonSchema: true, boundingBoxes: false, maxPages: 10 },
+    isConfigured: () => Boolean(
+        (process.env.AZURE_OPENAI_API_KEY || isReplaying()) &&
+        process.env.AZURE_OPENAI_RESOURCE_NAME &&
+        process.env.AZURE_OPENAI_DEPLOYMENT
+    ),
+    analyze: (request) => analyzeWithOpenAI({ ...request, provider: "azure-openai" }),
+});
+
+registerProvider({
+    id: "local",
+    label: "Local LLM",
+    capabilities: { nativePdf: false, strictJsonSchema: process.env.LOCAL_LLM_JSON_SCHEMA !== "false", boundingBoxes: false, maxPages: 10 },
+    isConfigured: () => Boolean(process.env.LOCAL_LLM_MODEL),
+    analyze: (request) => analyzeWithOpenAI({ ...request, provider: "local" }),
+});
+
+// Tesseract plus rule-based extraction runs fully offline; with OCR_LOCAL_LLM=true the
+// OCR text is structured by the local LLM instead of the rules
+registerProvider({
+    id: "ocr-local",
+    label: OCR_LOCAL_LLM ? "Offline OCR + Local LLM" : "Offline OCR (rules)",
+    capabilities: {
+        nativePdf: false,
+        strictJsonSchema: OCR_LOCAL_LLM && process.env.LOCAL_LLM_JSON_SCHEMA !== "false",
+        boundingBoxes: false,
+        maxPages: 10,
+        ...(!OCR_LOCAL_LLM && { repair: false, fieldMetadata: false }),
+    },
+    isConfigured: () => !OCR_LOCAL_LLM || Boolean(process.env.LOCAL_LLM_MODEL),
+    analyze: (request) => analyzeWithOcr(request),
+});
+
+// Sends the document to several providers and votes field by field. Orchestrated by
+// runRecognition(), which needs each member's validated result, so it has no analyze of its own.
+export const CONSENSUS_PROVIDERS = (process.env.CONSENSUS_PROVIDERS || "gemini,openai,azure-openai")
+    .split(",").map(id => id.trim()).filter(Boolean);
+
+registerProvider({
+    id: "consensus",
+    label: "Consensus (multi-provider)",
+    capabilities: { nativePdf: false, strictJsonSchema: false, boundingBoxes: false, maxPages: null, fieldMetadata: false, consensus: true },
+    isConfigured: () => CONSENSUS_PROVIDERS.filter(id => providers.get(id)?.isConfigured()).length >= 2,
+    analyze: () => Promise.reject(new Error("The consensus provider can only be used through runRecognition()")),
+});
+
+// Schema-driven fake data for development, see mock.service.js. Registered last so the UI
+// never falls back to it; disabled in production unless MOCK_PROVIDER=true
+if (MOCK_PROVIDER_ENABLED) {
+    registerProvider({
+        id: "mock",
+        label: "Mock (fake data)",
+        capabilities: { nativePdf: true, strictJsonSchema: true, boundingBoxes: false, maxPages: null, fieldMetadata: false },
+        isConfigured: () => true,
+        analyze: (request) => analyzeWithMock(request),
+    });
+}
@@ -0,0 +1,493 @@
+import crypto from "crypto";
+import { validateAgainstSchema, buildRepairMessage } from "./validation.service";
+import { augmentSchemaWithMetadata, stripFieldMetadata, shiftMetadataPages } from "./schema.service";
+import { getProvider } from "./provider.service";
+import { getPdfPageCount, extractPdfPageTexts, hasUsableTextLayer, pdfToJpegs } from "./pdf.service";
+import { mergeChunkResults } from "./merge.service";
+import { stripFieldAnnotations, applyFieldAnnotations } from "./field-format.service";
+import { checkConsistency } from "./consistency.service";
+import { voteResults } from "./consensus.service";
+import { AUTO_DOC_TYPE, classifyDocument, classifyPage, segmentPages, classifySegment } from "./classification.service";
+import { getSchemaVersion } from "./schema-store.service";
+import { getPrompts } from "./prompt-store.service";
+import { recordRecognition } from "./result-store.service";
+import { isReplaying } from "./cassette.service";
+import { mapWithConcurrency } from "@/lib/concurrency";
+
+export const MAX_REPAIR_ATTEMPTS_LIMIT = 3;
+// Unset, empty or not a number gives 1; 0 turns repair off, above the limit is clamped
+const envRepairAttempts = Math.floor(Number(process.env.MAX_REPAIR_ATTEMPTS || 1));
+export const DEFAULT_MAX_REPAIR_ATTEMPTS = Number.isFinite(envRepairAttempts)
+    ? Math.min(MAX_REPAIR_ATTEMPTS_LIMIT, Math.max(0, envRepairAttempts))
+    : 1;
+
+export const MAX_SAMPLES = 5;
+const SAMPLE_CONCURRENCY = Math.max(1, Number(process.env.SAMPLE_CONCURRENCY) || 3);
+const REVIEW_AGREEMENT_THRESHOLD = Number(process.env.REVIEW_AGREEMENT_THRESHOLD ?? 0.75);
+
+export const INPUT_MODES = ["auto", "text", "vision", "hybrid"];
+export const DEFAULT_INPUT_MODE = process.env.DEFAULT_INPUT_MODE || "auto";
+
+const PDF_MAX_TOTAL_PAGES = Number(process.env.PDF_MAX_TOTAL_PAGES) || 100;
+const PDF_CHUNK_OVERLAP_PAGES = Math.max(0, Number(process.env.PDF_CHUNK_OVERLAP_PAGES ?? 1));
+const PDF_CHUNK_CONCURRENCY = Math.max(1, Number(process.env.PDF_CHUNK_CONCURRENCY) || 2);
+// Pages are classified for splitting from small renderings
+const SPLIT_PAGE_DENSITY = 100;
+
+// Runs the provider, validates the output against the schema and, while it
+// doesn't match, asks the provider to repair its previous answer.
+// With includeMetadata the provider is asked for per-field confidence and source
+// locations, which are returned as a separate `metadata` tree next to `data`
+// (null for providers without fieldMetadata). Rule-based providers are not repaired,
+// asking again would give the same answer. Every raw answer is appended to `trace` when given,
+// with the token usage the provider reported for it (also passed on to `request.onUsage`).
+export async function recognizeDocument(provider, request, { maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS, includeMetadata = false, trace = null } = {}) {
+    const { schema } = request;
+    const withMetadata = includeMetadata && provider.capabilities.fieldMetadata !== false;
+    if (provider.capabilities.repair === false) maxRepairAttempts = 0;
+
+    const plainSchema = stripFieldAnnotations(schema);
+    const providerSchema = withMetadata
+        ? augmentSchemaWithMetadata(plainSchema, { boundingBoxes: Boolean(provider.capabilities.boundingBoxes) })
+        : plainSchema;
+
+    const run = async (repair) => {
+        const started = Date.now();
+        let usage = null;
+        const onUsage = (reported) => {
+            usage = reported;
+            if (request.onUsage) request.onUsage(reported);
+        };
+        const output = await provider.analyze({ ...request, schema: providerSchema, repair, onUsage });
+        if (trace) {
+            trace.push({ provider: provider.id, pages: request.pages || null, repair: Boolean(repair), durationMs: Date.now() - started, usage, output });
+        }
+        const stripped = withMetadata ? stripFieldMetadata(output, schema) : { data: output, metadata: null };
+        // x-normalize runs before the JSON schema check, e.g. "1 234,56" becomes a number
+        const { data, violations } = applyFieldAnnotations(stripped.data, schema);
+        return { output, data, metadata: stripped.metadata, validation: { ...validateAgainstSchema(data, schema), violations } };
+    };
+
+    let current = await run(null);
+    let repairAttempts = 0;
+
+    while (!current.validation.valid && repairAttempts < maxRepairAttempts) {
+        repairAttempts++;
+        console.warn(`Extraction does not match schema (${current.validation.errors.length} errors), repair attempt ${repairAttempts}/${maxRepairAttempts}`);
+
+        try {
+            current = await run({ previousOutput: current.output, message: buildRepairMessage(current.validation.errors) });
+        } catch (error) {
+            // Keep the last parsed output; the report tells the client it is not trustworthy
+            console.error("Repair attempt failed:", error);
+            break;
+        }
+    }
+
+    return {
+        data: current.data,
+        ...(includeMetadata && { metadata: current.metadata }),
+        validation: { ...current.validation, repairAttempts },
+    };
+}
+
+// Splits `totalPages` into windows of `size` pages (0-based firstPage), consecutive
+// windows sharing `overlap` pages so rows split across a page break are not lost.
+export function buildPageWindows(totalPages, size, overlap) {
+    const step = Math.max(1, size - Math.min(overlap, size - 1));
+    const windows = [];
+    for (let firstPage = 0; ; firstPage += step) {
+        const count = Math.min(size, totalPages - firstPage);
+        windows.push({ firstPage, count });
+        if (firstPage + count >= totalPages) break;
+    }
+    return windows;
+}
+
+// Page numbers in the metadata of a page window are relative to it
+function shiftResultPages(result, request, firstPage) {
+    return result.metadata && firstPage ? { ...result, metadata: shiftMetadataPages(result.metadata, request.schema, firstPage) } : result;
+}
+
+// Providers that rasterise PDFs can only take `maxPages` pages per request. Longer
+// documents (or page windows, `request.pages`) are extracted window by window and the
+// results merged schema-aware.
+async function recognizeInChunks(provider, request, recognizeOptions, maxPages) {
+    const offset = request.pages ? request.pages.firstPage : 0;
+    const totalPages = request.pages ? request.pages.count : await getPdfPageCount(request.buffer);
+    if (totalPages <= maxPages) {
+        const result = await recognizeDocument(provider, request, recognizeOptions);
+        return { ...shiftResultPages(result, request, offset), warnings: [] };
+    }
+
+    const warnings = [];
+    const processedPages = Math.min(totalPages, PDF_MAX_TOTAL_PAGES);
+    if (processedPages < totalPages) {
+        warnings.push(`Document has ${totalPages} pages, only the first ${processedPages} were processed (PDF_MAX_TOTAL_PAGES).`);
+    }
+
+    const windows = buildPageWindows(processedPages, maxPages, PDF_CHUNK_OVERLAP_PAGES)
+        .map(window => ({ ...window, firstPage: window.firstPage + offset }));
+    console.log(`Processing ${processedPages} pages in ${windows.length} windows of up to ${maxPages} pages`);
+
+    const chunks = await mapWithConcurrency(windows, PDF_CHUNK_CONCURRENCY, (window) =>
+        recognizeDocument(provider, { ...request, pages: window }, recognizeOptions));
+
+    chunks.forEach((chunk, i) => {
+        if (!chunk.validation.valid) {
+            warnings.push(`Pages ${windows[i].firstPage + 1}-${windows[i].firstPage + windows[i].count} did not match the schema.`);
+        }
+    });
+
+    const { includeMetadata } = recognizeOptions;
+    const merged = mergeChunkResults(chunks.map((chunk, i) => ({
+        data: chunk.data,
+        metadata: includeMetadata ? shiftMetadataPages(chunk.metadata, request.schema, windows[i].firstPage) : undefined,
+    })), request.schema);
+
+    return {
+        data: merged.data,
+        ...(includeMetadata && { metadata: provider.capabilities.fieldMetadata !== false ? merged.metadata : null }),
+        validation: {
+            ...validateAgainstSchema(merged.data, request.schema),
+            violations: applyFieldAnnotations(merged.data, request.schema).violations,
+            repairAttempts: chunks.reduce((sum, chunk) => sum + chunk.validation.repairAttempts, 0),
+        },
+        warnings,
+        pages: {
+            total: totalPages,
+            processed: processedPages,
+            windows: windows.map(w => [w.firstPage + 1, w.firstPage + w.count]),
+        },
+    };
+}
+
+// Decides how the document is sent to the provider. "auto" uses the PDF text layer
+// when it is usable (born-digital PDFs) and page images otherwise (scans, images).
+async function resolveInputMode(buffer, mimeType, requested) {
+    if (mimeType !== "application/pdf") {
+        const warnings = requested === "text" || requested === "hybrid"
+            ? [`inputMode "${requested}" needs a PDF text layer, the image was processed with vision.`]
+            : [];
+        return { inputMode: "vision", pageTexts: null, warnings };
+    }
+
+    if (requested === "vision") {
+        return { inputMode: "vision", pageTexts: null, warnings: [] };
+    }
+
+    let pageTexts;
+    try {
+        pageTexts = await extractPdfPageTexts(buffer);
+    } catch (error) {
+        if (requested === "text") throw error;
+        return { inputMode: "vision", pageTexts: null, warnings: ["Could not read the PDF text layer, the document was processed with vision."] };
+    }
+
+    const usable = hasUsableTextLayer(pageTexts);
+    if (requested === "auto") {
+        return { inputMode: usable ? "text" : "vision", pageTexts: usable ? pageTexts : null, warnings: [] };
+    }
+
+    const warnings = usable ? [] : [`The PDF has little or no text layer, "${requested}" extraction may be incomplete.`];
+    return { inputMode: requested, pageTexts, warnings };
+}
+
+// Runs one provider, splitting long PDFs into page windows when it has maxPages.
+// Text-only requests carry no page images, so they are never split (and their text
+// layer is labelled with absolute page numbers already).
+async function recognizeWithProvider(provider, request, recognizeOptions, mimeType) {
+    if (mimeType === "application/pdf" && request.inputMode !== "text" && provider.capabilities.maxPages) {
+        return recognizeInChunks(provider, request, recognizeOptions, provider.capabilities.maxPages);
+    }
+    const result = await recognizeDocument(provider, request, recognizeOptions);
+    const offset = request.pages && request.inputMode !== "text" ? request.pages.firstPage : 0;
+    return { ...shiftResultPages(result, request, offset), warnings: [] };
+}
+
+// Runs the member providers concurrently (each with its own validation and repair)
+// and votes field by field. A failing member is reported, the others still vote.
+async function recognizeWithConsensus(providerIds, request, recognizeOptions, mimeType) {
+    const members = providerIds.map(getProvider);
+    const settled = await Promise.allSettled(members.map(member =>
+        recognizeWithProvider(member, request, { ...recognizeOptions, includeMetadata: false }, mimeType)));
+
+    const completed = [];
+    const report = members.map((member, i) => {
+        if (settled[i].status === "rejected") {
+            console.error(`Consensus member ${member.id} failed:`, settled[i].reason);
+            return { id: member.id, status: "failed", error: settled[i].reason.message || "Internal server error" };
+        }
+        const result = settled[i].value;
+        completed.push({ provider: member.id, result });
+        return { id: member.id, status: "completed", valid: result.validation.valid, repairAttempts: result.validation.repairAttempts };
+    });
+
+    if (completed.length === 0) {
+        throw new Error(`All consensus providers failed: ${report.map(r => `${r.id}: ${r.error}`).join("; ")}`);
+    }
+
+    const { schema } = request;
+    const { data, disagreements } = voteResults(completed.map(c => ({ provider: c.provider, data: c.result.data })), schema);
+
+    return {
+        data,
+        ...(recognizeOptions.includeMetadata && { metadata: null }),
+        validation: {
+            ...validateAgainstSchema(data, schema),
+            violations: applyFieldAnnotations(data, schema).violations,
+            repairAttempts: completed.reduce((sum, c) => sum + c.result.validation.repairAttempts, 0),
+        },
+        warnings: [
+            ...report.filter(r => r.status === "failed").map(r => `Provider ${r.id} failed and did not vote: ${r.error}`),
+            ...completed.flatMap(c => c.result.warnings.map(warning => `${c.provider}: ${warning}`)),
+        ],
+        consensus: { providers: report, disagreements },
+    };
+}
+
+// Self-consistency: runs the same provider `samples` times and takes the per-field
+// majority, preferring values that pass their x-validate checks. Fields whose chosen
+// value is backed by fewer than REVIEW_AGREEMENT_THRESHOLD of the samples are listed
+// for human review.
+async function recognizeWithSampling(provider, samples, request, recognizeOptions, mimeType) {
+    const runs = await mapWithConcurrency(Array.from({ length: samples }), SAMPLE_CONCURRENCY, async () => {
+        try {
+            return { result: await recognizeWithProvider(provider, request, { ...recognizeOptions, includeMetadata: false }, mimeType) };
+        } catch (error) {
+            console.error(`Sample of ${provider.id} failed:`, error);
+            return { error };
+        }
+    });
+
+    const completed = runs.map((run, i) => ({ sample: `sample-${i + 1}`, ...run })).filter(run => run.result);
+    if (completed.length === 0) throw runs[0].error;
+
+    const { schema } = request;
+    const { data, disagreements, agreement } = voteResults(completed.map(c => ({ provider: c.sample, data: c.result.data })), schema);
+    const disagreementsByPath = new Map(disagreements.map(d => [d.path, d]));
+
+    const failed = samples - completed.length;
+    return {
+        data,
+        ...(recognizeOptions.includeMetadata && { metadata: null }),
+        validation: {
+            ...validateAgainstSchema(data, schema),
+            violations: applyFieldAnnotations(data, schema).violations,
+            repairAttempts: completed.reduce((sum, c) => sum + c.result.validation.repairAttempts, 0),
+        },
+        warnings: [
+            ...(failed ? [`${failed} of ${samples} samples failed and did not vote.`] : []),
+            ...[...new Set(completed.flatMap(c => c.result.warnings))],
+        ],
+        sampling: {
+            samples,
+            completed: completed.length,
+            agreement,
+            lowAgreement: Object.entries(agreement)
+                .filter(([, ratio]) => ratio < REVIEW_AGREEMENT_THRESHOLD)
+                .map(([path, ratio]) => ({ path, agreement: ratio, values: disagreementsByPath.get(path)?.values.map(v => v.value) ?? [] })),
+        },
+    };
+}
+
+// Consensus, sampling or a single provider, as requested
+async function extract(provider, options, request, recognizeOptions, mimeType) {
+    if (provider.capabilities.consensus) {
+        return recognizeWithConsensus(options.consensusProviders, request, recognizeOptions, mimeType);
+    }
+    if (options.samples > 1) {
+        return recognizeWithSampling(provider, options.samples, request, recognizeOptions, mimeType);
+    }
+    return recognizeWithProvider(provider, request, recognizeOptions, mimeType);
+}
+
+// Schema (current version) and prompts of a docType found by classification. The prompts
+// are kept in `classifiedTemplates` (by docType) for the result history.
+async function loadClassifiedType(docType, options, classifiedTemplates) {
+    const stored = await getSchemaVersion(docType);
+    if (!stored) {
+        throw new Error(`Schema "${docType}" no longer exists`);
+    }
+    const prompts = options.customPrompt ? null : await getPrompts(docType);
+    classifiedTemplates[docType] = prompts;
+    return { docType, schema: stored.schema, schemaVersion: stored.version, prompts };
+}
+
+// split: a file holding several documents back to back (a scanned stack). Every page is
+// classified, runs of pages form documents (segmentPages()) and each document is extracted
+// from its page window with the schema of its type, or of the requested docType when that
+// is not "auto". A document that cannot be typed or extracted carries an `error`, the
+// others are still returned.
+async function recognizeSplit(provider, options, request, recognizeOptions, mimeType, classifiedTemplates) {
+    const warnings = [];
+    const isPdf = mimeType === "application/pdf";
+    const totalPages = isPdf ? await getPdfPageCount(request.buffer) : 1;
+    const processedPages = Math.min(totalPages, PDF_MAX_TOTAL_PAGES);
+    if (processedPages < totalPages) {
+        warnings.push(`Document has ${totalPages} pages, only the first ${processedPages} were split (PDF_MAX_TOTAL_PAGES).`);
+    }
+
+    // Text-only requests classify from the page's text, the others get the page rendered once
+    // (not when replaying cassettes, whose providers send no images)
+    const pageImages = isPdf && request.inputMode !== "text" && !isReplaying()
+        ? await pdfToJpegs(request.buffer, { density: SPLIT_PAGE_DENSITY, quality: 70, maxPages: processedPages })
+        : null;
+    // A page that fails to classify is treated as unsure, so it stays with the document before it
+    const pageTypes = await mapWithConcurrency(Array.from({ length: processedPages }, (_, page) => page), PDF_CHUNK_CONCURRENCY, async (page) => {
+        try {
+            return await classifyPage(options.classificationProvider, {
+                ...request,
+                ...(pageImages && { file: { type: "image/jpeg" }, buffer: pageImages[page] }),
+                pages: { firstPage: page, count: 1 },
+            }, { trace: recognizeOptions.trace });
+        } catch (error) {
+            console.error(`Classification of page ${page + 1} failed:`, error);
+            warnings.push(`Page ${page + 1} could not be classified: ${error.message || "Internal server error"}`);
+            return { detected: null, confidence: 0, startsNewDocument: false };
+        }
+    });
+
+    const segments = segmentPages(pageTypes);
+    console.log(`Split ${processedPages} pages into ${segments.length} documents`);
+
+    // One document at a time, each may run several requests (chunks, consensus, samples) itself
+    const documents = [];
+    for (const segment of segments) {
+        const pages = [segment.firstPage + 1, segment.firstPage + segment.count];
+        const classification = options.docType === AUTO_DOC_TYPE
+            ? classifySegment(segment, options.classificationProvider, options.fallbackDocType)
+            : null;
+        if (classification && !classification.docType) {
+            documents.push({ pages, docType: null, classification, error: `Could not determine the document type of pages ${pages.join("-")} (answer "${segment.detected}" with confidence ${segment.confidence}).` });
+            continue;
+        }
+
+        try {
+            const { docType, schema, schemaVersion, prompts } = classification ? await loadClassifiedType(classification.docType, options, classifiedTemplates) : options;
+            const segmentRequest = { ...request, docType, schema, prompts, pages: { firstPage: segment.firstPage, count: segment.count } };
+            // `pages` of a chunked extraction would clash with the document's page range
+            const { pages: chunks, ...result } = await extract(provider, options, segmentRequest, recognizeOptions, mimeType);
+            documents.push({
+                pages,
+                docType,
+                ...result,
+                consistency: checkConsistency(docType, result.data),
+                schemaVersion: schemaVersion ?? null,
+                ...(classification && { classification }),
+                ...(chunks && { chunks }),
+            });
+        } catch (error) {
+            console.error(`Extraction of pages ${pages.join("-")} failed:`, error);
+            documents.push({ pages, docType: classification ? classification.docType : options.docType, ...(classification && { classification }), error: error.message || "Internal server error" });
+        }
+    }
+
+    return {
+        documents,
+        split: {
+            provider: options.classificationProvider,
+            totalPages,
+            pageTypes: pageTypes.map((pageType, i) => ({ page: i + 1, ...pageType })),
+        },
+        warnings,
+    };
+}
+
+// Token counts summed over every model call of a run (classification, chunks, repairs,
+// consensus members); `calls` counts the calls that reported usage
+function usageCounter() {
+    const usage = { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0 };
+    const onUsage = ({ inputTokens = 0, outputTokens = 0, totalTokens = inputTokens + outputTokens }) => {
+        usage.calls++;
+        usage.inputTokens += inputTokens;
+        usage.outputTokens += outputTokens;
+        usage.totalTokens += totalTokens;
+    };
+    return { usage, onUsage };
+}
+
+async function recognize({ buffer, mimeType }, options, trace, classifiedTemplates) {
+    const provider = getProvider(options.modelProvider);
+    if (!provider) {
+        throw new Error(`Unknown modelProvider "${options.modelProvider}"`);
+    }
+    const { usage, onUsage } = usageCounter();
+
+    const { inputMode, pageTexts, warnings } = await resolveInputMode(buffer, mimeType, options.inputMode || DEFAULT_INPUT_MODE);
+    console.log(`Recognizing ${mimeType} with ${provider.id} using inputMode "${inputMode}"`);
+
+    let request = {
+        // Normalize file object for services
+        file: { type: mimeType },
+        buffer,
+        // The uploaded file, also when `buffer` is replaced by a rendered page (cassette fingerprints)
+        source: { sha256: crypto.createHash("sha256").update(buffer).digest("hex") },
+        docType: options.docType,
+        schema: options.schema,
+        enforceJsonSchema: options.enforceJsonSchema,
+        customPrompt: options.customPrompt,
+        prompts: options.prompts,
+        inputMode,
+        pageTexts,
+        onUsage,
+    };
+    const recognizeOptions = {
+        maxRepairAttempts: options.maxRepairAttempts,
+        includeMetadata: options.includeMetadata,
+        trace,
+    };
+
+    if (options.split) {
+        const result = await recognizeSplit(provider, options, request, recognizeOptions, mimeType, classifiedTemplates);
+        return { ...result, inputMode, usage, warnings: [...warnings, ...result.warnings] };
+    }
+
+    let schemaVersion = options.schemaVersion;
+    let classification = null;
+    if (options.docType === AUTO_DOC_TYPE) {
+        classification = await classifyDocument(options.classificationProvider, request, { fallbackDocType: options.fallbackDocType, trace });
+        console.log(`Classified as ${classification.detected} (confidence ${classification.confidence}), extracting as ${classification.docType}`);
+
+        const { schemaVersion: classifiedVersion, ...typed } = await loadClassifiedType(classification.docType, options, classifiedTemplates);
+        request = { ...request, ...typed };
+        schemaVersion = classifiedVersion;
+    }
+
+    const result = await extract(provider, options, request, recognizeOptions, mimeType);
+
+    return {
+        ...result,
+        consistency: checkConsistency(request.docType, result.data),
+        schemaVersion: schemaVersion ?? null,
+        ...(classification && { classification }),
+        inputMode,
+        usage,
+        warnings: [...warnings, ...result.warnings],
+    };
+}
+
+// Entry point for the API routes, the job worker and batches: `file` is { buffer, mimeType, name },
+// `options` as produced by resolveRecognizeOptions() in src/lib/recognize-request.js. Every run,
+// failed or not, is stored in the result history; the response carries its `resultId`.
+export async function runRecognition(file, options) {
+    const startedAt = new Date();
+    const modelOutputs = [];
+    const classifiedTemplates = {};
+    let result = null;
+    let error = null;
+    try {
+        result = await recognize(file, options, modelOutputs, classifiedTemplates);
+    } catch (e) {
+        error = e;
+    }
+
+    // The history must never cost the caller its result
+    const stored = await recordRecognition({ file, options, result, error, modelOutputs, classifiedTemplates, startedAt }).catch((e) => {
+        console.error("Failed to store the recognition result:", e);
+        return null;
+    });
+
+    if (error) throw error;
+    return { ...result, resultId: stored ? stored.id : null };
+}
@@ -0,0 +1,206 @@
+import { promises as fs } from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// History of every recognition (audit trail): one JSON file per run in RESULTS_DIR with the
+// file's hash, the options, the prompt inputs, every raw model answer and the response.
+// Human reviews are appended to `reviews`; the response itself is never changed.
+// Summaries of all records are kept in memory for listing and filtering.
+
+const RESULTS_DIR = process.env.RESULTS_DIR || path.join(process.cwd(), "data/results");
+const STORE_RESULTS = process.env.STORE_RESULTS !== "false";
+
+export const DEFAULT_RESULTS_LIMIT = 50;
+export const MAX_RESULTS_LIMIT = 200;
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+// Shared by /api/results and the routes that record (see job.service.js for why globalThis)
+const state = globalThis.__recognitionResults || (globalThis.__recognitionResults = {
+    summaries: new Map(),
+    loading: null,
+    lock: null,
+});
+
+// Record updates are read-modify-write, serialize them
+const withLock = (fn) => {
+    const run = (state.lock || Promise.resolve()).then(fn, fn);
+    state.lock = run.catch(() => {});
+    return run;
+};
+
+// Ids are UUIDs, anything else never reaches the file system
+const isValidId = (id) => typeof id === 'string' && /^[0-9a-f-]{36}$/.test(id);
+const resultPath = (id) => path.join(RESULTS_DIR, `${id}.json`);
+
+// Documents of a record that can be reviewed: the result itself (document null) or every
+// extracted document of a split run (document = its index)
+export function reviewableDocuments(record) {
+    const { result } = record;
+    if (!result) return [];
+    if (!result.documents) return [{ document: null, docType: record.docType, schemaVersion: record.schemaVersion, data: result.data, validation: result.validation }];
+    return result.documents.flatMap(({ pages, docType, schemaVersion, data, validation, error }, document) =>
+        error ? [] : [{ document, pages, docType, schemaVersion, data, validation }]);
+}
+
+// "approved" when the latest review of every document approves it, "rejected" when one
+// is rejected, otherwise "pending"; null for failed runs
+export function reviewStatusOf(record) {
+    const documents = reviewableDocuments(record);
+    if (!documents.length) return null;
+    const latest = documents.map(({ document }) =>
+        (record.reviews || []).filter(r => r.document === document).pop());
+    if (latest.some(r => r && r.status === "rejected")) return "rejected";
+    return latest.every(r => r && r.status === "approved") ? "approved" : "pending";
+}
+
+function toSummary(record) {
+    const { result } = record;
+    const documents = result && result.documents;
+    return {
+        id: record.id,
+        createdAt: record.createdAt,
+        status: record.status,
+        file: record.file,
+        docType: record.docType,
+        ...(documents && { documentTypes: [...new Set(documents.map(d => d.docType).filter(Boolean))] }),
+        provider: record.provider,
+        schemaVersion: record.schemaVersion,
+        valid: !result ? null : documents
+            ? documents.every(d => !d.error && d.validation.valid)
+            : result.validation.valid,
+        durationMs: record.timings.durationMs,
+        error: record.error,
+        reviewStatus: reviewStatusOf(record),
+    };
+}
+
+function ensureLoaded() {
+    if (!state.loading) {
+        state.loading = (async () => {
+            await fs.mkdir(RESULTS_DIR, { recursive: true });
+            const files = (await fs.readdir(RESULTS_DIR)).filter(f => f.endsWith(".json"));
+            for (const file of files) {
+                try {
+                    const record = JSON.parse(await fs.readFile(path.join(RESULTS_DIR, file), "utf8"));
+                    state.summaries.set(record.id, toSummary(record));
+                } catch (e) {
+                    console.error(`Skipping unreadable result file ${file}:`, e);
+                }
+            }
+        })().catch((error) => {
+            // Retry on the next request instead of failing every later one
+            state.loading = null;
+            throw error;
+        });
+    }
+    return state.loading;
+}
+
+// Stores one run of runRecognition(): `result` is its response (null when it failed with
+// `error`), `modelOutputs` the raw provider answers (classification calls included) and
+// `classifiedTemplates` the prompts of the docTypes found by classification. Returns the
+// record's summary, or null when STORE_RESULTS=false.
+export async function recordRecognition({ file, options, result, error, modelOutputs, classifiedTemplates = {}, startedAt }) {
+    if (!STORE_RESULTS) return null;
+    await ensureLoaded();
+
+    const finishedAt = new Date();
+    const record = {
+        id: crypto.randomUUID(),
+        createdAt: finishedAt.toISOString(),
+        status: error ? "failed" : "completed",
+        file: {
+            name: file.name || null,
+            mimeType: file.mimeType,
+            size: file.buffer.length,
+            sha256: crypto.createHash("sha256").update(file.buffer).digest("hex"),
+        },
+        // The detected type for docType "auto" (the requested one when splitting)
+        docType: (result && result.classification && result.classification.docType) || options.docType,
+        provider: options.modelProvider,
+        schemaVersion: result ? result.schemaVersion ?? null : options.schemaVersion ?? null,
+        options: {
+            docType: options.docType,
+            consensusProviders: options.consensusProviders,
+            enforceJsonSchema: options.enforceJsonSchema,
+            inputMode: options.inputMode,
+            includeMetadata: options.includeMetadata,
+            maxRepairAttempts: options.maxRepairAttempts,
+            samples: options.samples,
+            split: options.split,
+            fallbackDocType: options.fallbackDocType ?? null,
+            customSchema: options.schemaVersion == null && options.schema ? options.schema : null,
+        },
+        // What the prompt was built from: the request's customPrompt or the docType's templates,
+        // for docType "auto" and split runs the templates of each detected type (by docType).
+        // The classifier's own prompt is in its modelOutputs entries.
+        prompt: {
+            customPrompt: options.customPrompt,
+            templates: options.prompts,
+            classifiedTemplates: Object.keys(classifiedTemplates).length ? classifiedTemplates : null,
+        },
+        modelOutputs,
+        result,
+        reviews: [],
+        error: error ? error.message || "Internal server error" : null,
+        timings: {
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+        },
+    };
+
+    return saveRecord(record);
+}
+
+async function saveRecord(record) {
+    await fs.mkdir(RESULTS_DIR, { recursive: true });
+    const tmpPath = `${resultPath(record.id)}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(record, null, 2), "utf8");
+    await fs.rename(tmpPath, resultPath(record.id));
+
+    const summary = toSummary(record);
+    state.summaries.set(record.id, summary);
+    return summary;
+}
+
+// Summaries newest first. Filters: docType (also matches the documents of a split run),
+// provider, status, valid, reviewStatus, sha256, fileName (case-insensitive substring),
+// from/to (createdAt).
+export async function listResults({ docType, provider, status, valid, reviewStatus, sha256, fileName, from, to, limit = DEFAULT_RESULTS_LIMIT, offset = 0 } = {}) {
+    await ensureLoaded();
+    const name = fileName ? fileName.toLowerCase() : null;
+
+    const matches = [...state.summaries.values()].filter(s =>
+        (!docType || s.docType === docType || (s.documentTypes || []).includes(docType)) &&
+        (!provider || s.provider === provider) &&
+        (!status || s.status === status) &&
+        (valid === undefined || valid === null || s.valid === valid) &&
+        (!reviewStatus || s.reviewStatus === reviewStatus) &&
+        (!sha256 || s.file.sha256 === sha256) &&
+        (!name || (s.file.name || "").toLowerCase().includes(name)) &&
+        (!from || s.createdAt >= from) &&
+        (!to || s.createdAt <= to));
+
+    matches.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { total: matches.length, limit, offset, results: matches.slice(offset, offset + limit) };
+}
+
+// The full record, null when it does not exist
+export async function getResult(id) {
+    if (!isValidId(id)) return null;
+    await ensureLoaded();
+    if (!state.summaries.has(id)) return null;
+    return JSON.parse(await fs.readFile(resultPath(id), "utf8"));
+}
+
+// Appends a review ({ document, status, ... }) to the record. Returns the updated record,
+// null when it does not exist.
+export const addReview = (id, review) => withLock(async () => {
+    const record = await getResult(id);
+    if (!record) return null;
+
+    record.reviews = [...(record.reviews || []), { ...review, reviewedAt: new Date().toISOString() }];
+    await saveRecord(record);
+    return record;
+});
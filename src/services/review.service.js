@@ -0,0 +1,113 @@
+import { getResult, addReview, reviewableDocuments, reviewStatusOf } from "./result-store.service";
+import { getSchemaVersion } from "./schema-store.service";
+import { validateAgainstSchema } from "./validation.service";
+import { applyFieldAnnotations } from "./field-format.service";
+import { diffJson } from "@/lib/json-diff";
+
+// Human review of stored results: a reviewer corrects the extracted data and approves or
+// rejects it. Reviews are appended to the record, so the original model output and every
+// earlier review are kept.
+
+export const REVIEW_DECISIONS = ["approved", "rejected"];
+
+// `document` of a request body: null (or absent) for a result that was not split, otherwise
+// the index of a document. Undefined when it is neither.
+export function readDocumentIndex(value) {
+    if (value === undefined || value === null) return null;
+    if (Number.isInteger(value)) return value;
+    // "" and booleans would pass Number() as 0 and 1
+    return typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : undefined;
+}
+
+// The schema a document was extracted with: its stored version or the run's customSchema
+async function documentSchema(record, item) {
+    if (item.schemaVersion === null || item.schemaVersion === undefined) return record.options.customSchema;
+    const stored = await getSchemaVersion(item.docType, item.schemaVersion);
+    return stored ? stored.schema : null;
+}
+
+const latestReview = (record, document) => (record.reviews || []).filter(r => r.document === document).pop() || null;
+
+// Everything the review screen needs: each reviewable document with its schema, the
+// extracted data and its latest review. Null when the result does not exist.
+export async function getReview(id) {
+    const record = await getResult(id);
+    if (!record) return null;
+
+    const documents = await Promise.all(reviewableDocuments(record).map(async (item) => ({
+        ...item,
+        schema: await documentSchema(record, item),
+        review: latestReview(record, item.document),
+    })));
+    return { id, reviewStatus: reviewStatusOf(record), documents, reviews: record.reviews || [] };
+}
+
+// The stored response with every document's data replaced by its latest review, so exports
+// include the reviewers' corrections. Null for failed runs.
+export function reviewedResult(record) {
+    const { result } = record;
+    if (!result) return null;
+    const reviewedData = (document, data) => {
+        const review = latestReview(record, document);
+        return review ? review.data : data;
+    };
+    if (!result.documents) return { ...result, data: reviewedData(null, result.data) };
+    return { ...result, documents: result.documents.map((item, document) => item.error ? item : { ...item, data: reviewedData(document, item.data) }) };
+}
+
+// Normalizes and validates corrected `data` of one document (null for a result that was
+// not split) like a model answer; the extracted data when `data` is omitted.
+// Returns { item, data, validation } or { error }.
+async function checkCorrection(record, document, data) {
+    const documents = reviewableDocuments(record);
+    const item = documents.find(d => d.document === document);
+    if (!item) {
+        if (!documents.length) return { error: "This result has nothing to review" };
+        return { error: document === null ? "The result was split, pass the document to review" : `Result has no reviewable document ${document}` };
+    }
+    const schema = await documentSchema(record, item);
+    if (!schema) {
+        return { error: `Schema "${item.docType}" version ${item.schemaVersion} no longer exists` };
+    }
+
+    const { data: corrected, violations } = applyFieldAnnotations(data === undefined ? item.data : data, schema);
+    return { item, data: corrected, validation: { ...validateAgainstSchema(corrected, schema), violations } };
+}
+
+// Validation of a correction without storing it (live feedback in the review screen).
+// Returns { data, validation }, { error } or null for unknown results.
+export async function checkReview(id, { document = null, data }) {
+    const record = await getResult(id);
+    if (!record) return null;
+
+    const { error, data: corrected, validation } = await checkCorrection(record, document, data);
+    return error ? { error } : { data: corrected, validation };
+}
+
+// Stores a decision on one document with the corrected `data`. Only data that matches the
+// schema can be approved. Returns { review, reviewStatus }, { error, validation? } or null
+// for unknown results.
+export async function saveReview(id, { document = null, status, data, author, comment = null }) {
+    const record = await getResult(id);
+    if (!record) return null;
+
+    if (!REVIEW_DECISIONS.includes(status)) {
+        return { error: `status must be one of: ${REVIEW_DECISIONS.join(", ")}` };
+    }
+    const { error, item, data: corrected, validation } = await checkCorrection(record, document, data);
+    if (error) return { error };
+    if (status === "approved" && !validation.valid) {
+        return { error: "The corrected data does not match the schema", validation };
+    }
+
+    const updated = await addReview(id, {
+        document,
+        status,
+        data: corrected,
+        validation,
+        changes: diffJson(item.data, corrected),
+        author,
+        comment,
+    });
+    return { review: updated.reviews[updated.reviews.length - 1], reviewStatus: reviewStatusOf(updated) };
+}
@@ -0,0 +1,281 @@
+import { isValidIban, normalizeIban, parseAmount, parseDate } from "@/lib/formats";
+
+// Rule-based mapping of recognised text (OCR or PDF text layer) onto a JSON schema.
+// Fields are recognised by name (iban, variableSymbol, invoiceNumber, *date, *amount,
+// currency, ...) and filled from labelled values or well-known formats. Fields that
+// cannot be found are left out; schema validation reports the missing required ones.
+
+const IBAN_PATTERN = /\b[A-Z]{2}\d{2}(?:[ ]?[A-Z0-9]{4}){2,7}(?:[ ]?[A-Z0-9]{1,4})?\b/g;
+const AMOUNT_PATTERN = /[-+]?\d{1,3}(?:[ .,']\d{3})*[.,]\d{2}\b|[-+]?\d+[.,]\d{2}\b/g;
+const DATE_PATTERN = /\b(?:\d{4}-\d{1,2}-\d{1,2}|\d{1,2}\s?[./]\s?\d{1,2}\s?[./]\s?\d{4})\b/g;
+const CURRENCIES = ["EUR", "CZK", "USD", "GBP", "PLN", "HUF", "CHF"];
+
+// Labels (English, Slovak, Czech; matched without diacritics). VALUE_LABELS capture
+// the value itself, LABELS only mark the line holding a date or an amount.
+const VALUE_LABELS = {
+    invoicenumber: /(?:invoice|faktura|danovy doklad)\s*(?:no\.?|number|c\.|cislo)?\s*[:#]?\s*([A-Z0-9][A-Z0-9\-\/]{2,})/i,
+    variablesymbol: /(?:variabiln[yi] symbol|var\.? ?symbol|\bVS)\s*[:.]?\s*(\d{1,10})\b/i,
+    taxid: /(?:vat id|tax id|ic dph|dic)\s*[:.]?\s*([A-Z]{0,2}\d{6,12})/i,
+    email: /([\w.+-]+@[\w-]+\.[\w.-]+)/,
+};
+
+const LABELS = {
+    duedate: /(?:due date|due|splatnost[i]?|datum splatnosti)\s*[:.]?\s*/i,
+    date: /(?:date|datum vystavenia|datum vystaveni|datum)\s*[:.]?\s*/i,
+    totalamount: /(?:total|spolu|celkom|celkem|k uhrade|to pay|suma)/i,
+    totalsum: /(?:total|spolu|celkom|celkem|suma|sum)/i,
+    taxamount: /(?:vat|dph|tax)/i,
+    openingbalance: /(?:opening balance|pociatocny zostatok|pocatecni zustatek|previous balance)/i,
+    closingbalance: /(?:closing balance|konecny zostatok|konecny zustatek|new balance)/i,
+    loanamount: /(?:loan amount|vyska uveru|vyse uveru|credit amount)/i,
+    monthlypayment: /(?:monthly payment|mesacna splatka|mesicni splatka|installment)/i,
+    interestrate: /(?:interest rate|urokova sadzba|urokova sazba|interest)/i,
+};
+
+const stripDiacritics = (text) => text.normalize("NFD").replace(/[̀-ͯ]/g, "");
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The optional last group of IBAN_PATTERN may swallow a following word ("... 7541 VS"),
+// drop it again when that is what breaks the checksum
+function cleanIban(match) {
+    const iban = normalizeIban(match);
+    if (isValidIban(iban)) return iban;
+    const shorter = normalizeIban(match.replace(/[ ]?[A-Z0-9]{1,4}$/, ""));
+    return isValidIban(shorter) ? shorter : iban;
+}
+
+function findIbans(text) {
+    const candidates = (text.match(IBAN_PATTERN) || []).map(cleanIban);
+    // Valid checksums first, OCR noise last
+    return [...new Set(candidates)].sort((a, b) => isValidIban(b) - isValidIban(a));
+}
+
+const findAmounts = (text) => (text.match(AMOUNT_PATTERN) || []).map(parseAmount).filter(n => n !== null);
+
+// Amount on the first line matching the label; the last amount on that line wins
+// ("Total incl. VAT 40,00: 240,00").
+function findLabelledAmount(lines, label) {
+    for (const line of lines) {
+        if (!label.test(stripDiacritics(line))) continue;
+        const amounts = findAmounts(line);
+        if (amounts.length) return amounts[amounts.length - 1];
+    }
+    return undefined;
+}
+
+function findLabelledDate(lines, label) {
+    for (const line of lines) {
+        const plain = stripDiacritics(line);
+        const match = plain.match(label);
+        if (!match) continue;
+        const dates = plain.slice(match.index).match(DATE_PATTERN);
+        if (dates) return parseDate(dates[0].replace(/\s/g, ""));
+    }
+    return undefined;
+}
+
+function findCurrency(text) {
+    const code = CURRENCIES.find(c => new RegExp(`\\b${c}\\b`).test(text));
+    if (code) return code;
+    if (text.includes("€")) return "EUR";
+    if (/\bKč\b/.test(text)) return "CZK";
+    return undefined;
+}
+
+// "accountHolder" -> /account\s*holder\s*[:.]\s*(.+)/
+function findByFieldName(lines, key) {
+    const words = key.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase().split(" ");
+    const label = new RegExp(`${words.join("\\s*")}\\s*[:.]\\s*(.+)`, "i");
+    for (const line of lines) {
+        const match = line.match(label);
+        if (match) return match[1].trim();
+    }
+    return undefined;
+}
+
+function coerce(value, schema) {
+    if (value === undefined || value === null) return undefined;
+    if (schema.enum) {
+        return schema.enum.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+    }
+    const type = Array.isArray(schema.type) ? schema.type.find(t => t !== "null") : schema.type;
+    if (type === "number") return typeof value === "number" ? value : parseAmount(String(value)) ?? undefined;
+    if (type === "integer") {
+        const number = typeof value === "number" ? value : parseAmount(String(value));
+        return number === null ? undefined : Math.round(number);
+    }
+    if (type === "boolean") return undefined;
+    return String(value);
+}
+
+function extractLeaf(key, schema, text, lines) {
+    const name = key.toLowerCase();
+    const plainText = stripDiacritics(text);
+
+    if (name.includes("iban")) return findIbans(text)[0];
+    if (name === "currency") return findCurrency(text);
+    if (VALUE_LABELS[name]) return (plainText.match(VALUE_LABELS[name]) || [])[1];
+
+    if (name.endsWith("date")) {
+        const label = LABELS[name] || LABELS.date;
+        const labelled = findLabelledDate(lines, label);
+        if (labelled) return labelled;
+        // Unlabelled: the first date of the document is usually the issue date
+        if (name === "date" || name === "statementdate" || name === "agreementdate") {
+            const first = plainText.match(DATE_PATTERN);
+            return first ? parseDate(first[0].replace(/\s/g, "")) : undefined;
+        }
+        return undefined;
+    }
+
+    if (name === "interestrate") {
+        const match = plainText.match(/(?:interest|urok)[^\n%]*?(\d+(?:[.,]\d+)?)\s*%/i);
+        return match ? parseAmount(match[1]) : undefined;
+    }
+    if (name === "termmonths") {
+        const match = plainText.match(/(\d{1,3})\s*(?:months|mesiacov|mesiace|mesicu|mesice)/i);
+        return match ? Number(match[1]) : undefined;
+    }
+
+    if (LABELS[name]) return findLabelledAmount(lines, LABELS[name]);
+
+    return findByFieldName(lines, key);
+}
+
+// --- Arrays of rows ------------------------------------------------------------
+
+const tokensOutside = (line, exclude) => {
+    let rest = line;
+    for (const part of exclude) rest = rest.replace(part, " ");
+    return rest;
+};
+
+// Drawdown-like rows: one row per line holding an IBAN
+function extractIbanRows(lines, itemSchema) {
+    const props = itemSchema.properties || {};
+    const rows = [];
+
+    for (const line of lines) {
+        const ibans = line.match(IBAN_PATTERN);
+        if (!ibans) continue;
+
+        const row = { iban: cleanIban(ibans[0]) };
+        const rest = tokensOutside(line, ibans);
+        const amounts = rest.match(AMOUNT_PATTERN) || [];
+        if (amounts.length && props.amount) row.amount = parseAmount(amounts[amounts.length - 1]);
+
+        const plainRest = stripDiacritics(tokensOutside(rest, amounts));
+        const labelledVs = plainRest.match(VALUE_LABELS.variablesymbol);
+        const digits = plainRest.match(/\b\d{4,10}\b/g) || [];
+        const codes = plainRest.match(/\b(?=[A-Z0-9\-\/]*\d)(?=[A-Z0-9\-\/]*[A-Z\-\/])[A-Z0-9\-\/]{4,}\b/g) || [];
+
+        if (props.variableSymbol) row.variableSymbol = labelledVs ? labelledVs[1] : digits[0];
+        if (props.invoiceNumber) row.invoiceNumber = codes[0] || digits.find(d => d !== row.variableSymbol);
+
+        const currency = findCurrency(line);
+        if (props.currency && currency) row.currency = currency;
+
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Invoice rows: description followed by quantity, unit price and total where
+// quantity x unit price matches the total (anything else is too uncertain)
+function extractInvoiceRows(lines) {
+    const rows = [];
+    for (const line of lines) {
+        if (LABELS.totalamount.test(stripDiacritics(line)) || LABELS.taxamount.test(stripDiacritics(line))) continue;
+
+        // Whitespace separates the columns here, so "1 000,00" cannot be told apart from
+        // a quantity followed by a price and is read as two numbers
+        const numbers = line.split(/\s+/).filter(t => /^[-+]?\d[\d.,]*$/.test(t)).map(parseAmount).filter(n => n !== null);
+        if (numbers.length < 3) continue;
+
+        const [quantity, unitPrice, total] = numbers.slice(-3);
+        if (Math.abs(quantity * unitPrice - total) > Math.max(0.01, Math.abs(total) * 0.001)) continue;
+
+        const description = line.replace(/[-+]?\d[\d .,]*/g, " ").replace(/\b(qty|ks|unit|total|pcs)\b/gi, " ").replace(/\s+/g, " ").trim();
+        rows.push({ description, quantity, unitPrice, total });
+    }
+    return rows;
+}
+
+// Statement transactions: one row per line starting with a date and holding an amount
+function extractTransactionRows(lines) {
+    const rows = [];
+    for (const line of lines) {
+        const dateMatch = line.trim().match(new RegExp(`^${DATE_PATTERN.source}`));
+        if (!dateMatch) continue;
+
+        const rest = line.trim().slice(dateMatch[0].length);
+        const amounts = rest.match(AMOUNT_PATTERN) || [];
+        if (!amounts.length) continue;
+
+        const amount = parseAmount(amounts[0]);
+        const row = {
+            date: parseDate(dateMatch[0].replace(/\s/g, "")),
+            description: tokensOutside(rest, amounts).replace(/\s+/g, " ").trim(),
+            amount: Math.abs(amount),
+            type: amount < 0 || /debit|vydaj|platba kartou/i.test(stripDiacritics(rest)) ? "debit" : "credit",
+        };
+        if (amounts.length > 1) row.balanceAfter = parseAmount(amounts[amounts.length - 1]);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function extractRows(itemSchema, lines) {
+    const props = (itemSchema && itemSchema.properties) || {};
+    const has = (...keys) => keys.every(k => k in props);
+
+    let rows = [];
+    if (has("iban")) rows = extractIbanRows(lines, itemSchema);
+    else if (has("quantity", "unitPrice")) rows = extractInvoiceRows(lines);
+    else if (has("date", "amount")) rows = extractTransactionRows(lines);
+
+    // Keep only properties the schema knows and values of the right type
+    return rows.map(row => {
+        const item = {};
+        for (const [key, value] of Object.entries(row)) {
+            if (!props[key]) continue;
+            const coerced = coerce(value, props[key]);
+            if (coerced !== undefined) item[key] = coerced;
+        }
+        return item;
+    });
+}
+
+function extractNode(schema, key, text, lines) {
+    if (!schema || typeof schema !== 'object') return undefined;
+
+    if (schema.type === 'object' && schema.properties) {
+        const result = {};
+        for (const [childKey, childSchema] of Object.entries(schema.properties)) {
+            const value = extractNode(childSchema, childKey, text, lines);
+            if (value !== undefined) result[childKey] = value;
+        }
+        return result;
+    }
+
+    if (schema.type === 'array') {
+        return isPlainObject(schema.items) && schema.items.type === 'object' ? extractRows(schema.items, lines) : [];
+    }
+
+    return coerce(extractLeaf(key || "", schema, text, lines), schema);
+}
+
+export function extractWithRules(text, schema) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const result = extractNode(schema, null, text, lines);
+
+    // Header sums for drawdown-like documents can be derived from the rows
+    if (isPlainObject(result) && schema.properties && schema.properties.totalSum && result.totalSum === undefined) {
+        const rowsKey = Object.keys(result).find(k => Array.isArray(result[k]) && result[k].some(r => typeof r.amount === 'number'));
+        if (rowsKey) {
+            result.totalSum = Math.round(result[rowsKey].reduce((sum, r) => sum + (r.amount || 0), 0) * 100) / 100;
+        }
+    }
+    return result;
+}
@@ -0,0 +1,146 @@
+import { enforceStrictSchema } from "./schema.service";
+import { checkSchemaDefinition } from "./validation.service";
+import { fieldAnnotationIssues, stripFieldAnnotations } from "./field-format.service";
+
+// Checks a schema before it is stored, so problems show up in the editor instead of as a
+// 500 at recognition time. Issues are { path, message } with JSON pointers into the schema.
+//   errors   - not valid JSON Schema, unknown field annotations, and with `strict` what strict
+//              structured output (OpenAI, Azure OpenAI, local json_schema) rejects after enforceStrictSchema()
+//   warnings - accepted, but the provider will not see the schema the way it is written;
+//              without `strict` also what strict structured output would reject
+// Gemini gets the schema in the prompt and has no such restrictions.
+
+// Limits of OpenAI structured outputs
+const MAX_NESTING_DEPTH = 10;
+const MAX_PROPERTIES = 5000;
+const MAX_ENUM_VALUES = 1000;
+const MAX_STRING_LENGTH = 120000; // property names, enum and const values together
+
+const SUPPORTED_TYPES = ["string", "number", "integer", "boolean", "object", "array", "null"];
+const SUPPORTED_FORMATS = ["date-time", "time", "date", "duration", "email", "hostname", "ipv4", "ipv6", "uuid"];
+const UNSUPPORTED_KEYWORDS = [
+    "allOf", "oneOf", "not", "if", "then", "else", "dependentRequired", "dependentSchemas", "dependencies",
+    "patternProperties", "unevaluatedProperties", "propertyNames", "minProperties", "maxProperties",
+    "contains", "minContains", "maxContains", "unevaluatedItems", "uniqueItems",
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const typesOf = (schema) => schema.type === undefined ? [] : [].concat(schema.type);
+
+// `original` is the schema as written, `strict` what enforceStrictSchema() made of it
+// (same shape, it only rewrites objects reached through properties and items).
+function lintNode(original, strict, path, depth, ctx) {
+    if (!isPlainObject(strict)) return;
+    const at = path || "/";
+    const types = typesOf(strict);
+
+    for (const keyword of UNSUPPORTED_KEYWORDS) {
+        if (keyword in strict) ctx.errors.push({ path: `${path}/${keyword}`, message: `"${keyword}" is not supported in strict mode` });
+    }
+    for (const type of types) {
+        if (!SUPPORTED_TYPES.includes(type)) ctx.errors.push({ path: `${path}/type`, message: `Type "${type}" is not supported in strict mode` });
+    }
+    if (types.length === 0 && !["anyOf", "$ref", "enum", "const"].some(keyword => keyword in strict)) {
+        ctx.errors.push({ path: at, message: 'Missing "type"; strict mode needs a type on every schema' });
+    }
+    if (typeof strict.format === 'string' && !SUPPORTED_FORMATS.includes(strict.format)) {
+        ctx.warnings.push({ path: `${path}/format`, message: `Format "${strict.format}" is not supported in strict mode and is ignored` });
+    }
+    if (Array.isArray(strict.enum)) {
+        ctx.enumValues += strict.enum.length;
+        ctx.stringLength += strict.enum.reduce((total, value) => total + String(value).length, 0);
+    }
+    if (typeof strict.const === 'string') ctx.stringLength += strict.const.length;
+
+    if (types.includes("object")) {
+        const properties = isPlainObject(strict.properties) ? strict.properties : {};
+        const keys = Object.keys(properties);
+        ctx.properties += keys.length;
+        ctx.stringLength += keys.reduce((total, key) => total + key.length, 0);
+
+        if (depth > MAX_NESTING_DEPTH) {
+            ctx.errors.push({ path: at, message: `Objects are nested ${depth} levels deep, strict mode allows ${MAX_NESTING_DEPTH}` });
+        }
+        if (keys.length === 0) {
+            ctx.warnings.push({ path: at, message: "Object without properties; strict mode only allows an empty object here" });
+        }
+
+        // enforceStrictSchema() closes objects typed exactly "object" that it reaches through
+        // properties/items; anything else (type lists, anyOf branches, $defs) must be closed by hand
+        const missing = keys.filter(key => !(Array.isArray(strict.required) && strict.required.includes(key)));
+        if (strict.additionalProperties !== false || missing.length) {
+            ctx.errors.push({
+                path: at,
+                message: `Strict mode needs "additionalProperties": false and every property in "required"${missing.length ? ` (missing: ${missing.join(", ")})` : ""}; enforceStrictSchema() only adds them to objects with "type": "object" reached through properties and items`,
+            });
+        } else if (isPlainObject(original)) {
+            if (original.additionalProperties !== undefined && original.additionalProperties !== false) {
+                ctx.warnings.push({ path: `${path}/additionalProperties`, message: 'Replaced by false in strict mode, extra properties are never returned' });
+            }
+            const unknown = (Array.isArray(original.required) ? original.required : []).filter(key => !keys.includes(key));
+            if (unknown.length) {
+                ctx.warnings.push({ path: `${path}/required`, message: `Lists properties that do not exist: ${unknown.join(", ")}` });
+            }
+        }
+
+        for (const key of keys) {
+            const originalChild = isPlainObject(original) && isPlainObject(original.properties) ? original.properties[key] : undefined;
+            lintNode(originalChild, properties[key], `${path}/properties/${key}`, depth + 1, ctx);
+        }
+    }
+
+    if (types.includes("array")) {
+        if (!isPlainObject(strict.items)) {
+            ctx.errors.push({ path: at, message: 'Arrays need an "items" schema in strict mode' });
+        } else {
+            lintNode(isPlainObject(original) ? original.items : undefined, strict.items, `${path}/items`, depth, ctx);
+        }
+    }
+
+    if (Array.isArray(strict.anyOf)) {
+        strict.anyOf.forEach((branch, i) => lintNode(branch, branch, `${path}/anyOf/${i}`, depth, ctx));
+    }
+    for (const defsKey of ["$defs", "definitions"]) {
+        if (isPlainObject(strict[defsKey])) {
+            for (const [name, definition] of Object.entries(strict[defsKey])) {
+                lintNode(definition, definition, `${path}/${defsKey}/${name}`, depth, ctx);
+            }
+        }
+    }
+}
+
+// Provider-compatibility issues of a valid JSON Schema
+function lintStrictCompatibility(schema) {
+    const plain = stripFieldAnnotations(schema);
+    const ctx = { errors: [], warnings: [], properties: 0, enumValues: 0, stringLength: 0 };
+
+    if (typesOf(plain).join() !== "object") {
+        ctx.errors.push({ path: "/type", message: 'The root must be an object ("type": "object") in strict mode' });
+    }
+    lintNode(plain, enforceStrictSchema(plain), "", 1, ctx);
+
+    if (ctx.properties > MAX_PROPERTIES) {
+        ctx.errors.push({ path: "/", message: `${ctx.properties} properties, strict mode allows ${MAX_PROPERTIES}` });
+    }
+    if (ctx.enumValues > MAX_ENUM_VALUES) {
+        ctx.errors.push({ path: "/", message: `${ctx.enumValues} enum values, strict mode allows ${MAX_ENUM_VALUES}` });
+    }
+    if (ctx.stringLength > MAX_STRING_LENGTH) {
+        ctx.errors.push({ path: "/", message: `Property names, enum and const values have ${ctx.stringLength} characters, strict mode allows ${MAX_STRING_LENGTH}` });
+    }
+    return { errors: ctx.errors, warnings: ctx.warnings };
+}
+
+// { errors, warnings }. Compatibility is only checked once the schema itself is valid, and
+// only blocks with `strict` (the schema is used with a strict structured output provider).
+export function lintSchema(schema, { strict = false } = {}) {
+    if (!isPlainObject(schema)) {
+        return { errors: [{ path: "/", message: "Schema must be a JSON object" }], warnings: [] };
+    }
+
+    const errors = [...checkSchemaDefinition(schema), ...fieldAnnotationIssues(schema)];
+    if (errors.length) return { errors, warnings: [] };
+
+    const compatibility = lintStrictCompatibility(schema);
+    return strict ? compatibility : { errors: [], warnings: [...compatibility.errors, ...compatibility.warnings] };
+}
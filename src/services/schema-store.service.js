@@ -0,0 +1,29 @@
+import path from "path";
+import { createVersionedStore, isValidDocType } from "@/lib/versioned-store";
+
+// Schemas are versioned per docType in data/schemas/<docType>.json; src/data/schemas.json
+// always holds the current version of every schema.
+
+const SCHEMAS_FILE = path.join(process.cwd(), "src/data/schemas.json");
+const SCHEMA_HISTORY_DIR = process.env.SCHEMA_HISTORY_DIR || path.join(process.cwd(), "data/schemas");
+
+const store = createVersionedStore({ name: "schemas", currentFile: SCHEMAS_FILE, historyDir: SCHEMA_HISTORY_DIR, field: "schema" });
+
+export { isValidDocType };
+
+export const getSchemas = () => store.getAll();
+
+// A stored version ({ version, action, author, createdAt, message, schema }), the
+// current one by default. Null when the docType or version does not exist.
+export const getSchemaVersion = (docType, version = null) => store.getVersion(docType, version);
+
+export async function getSchema(docType, version = null) {
+    const entry = await getSchemaVersion(docType, version);
+    return entry ? entry.schema : undefined;
+}
+
+export const listSchemaVersions = (docType) => store.listVersions(docType);
+export const saveSchema = (docType, schema, details) => store.save(docType, schema, details);
+export const deleteSchema = (docType, details) => store.remove(docType, details);
+export const rollbackSchema = (docType, version, details) => store.rollback(docType, version, details);
+export const diffSchemaVersions = (docType, from, to = null) => store.diff(docType, from, to);
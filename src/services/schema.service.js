@@ -1,18 +1,3 @@
-import fs from 'fs/promises';
-import path from 'path';
-
-const dataFilePath = path.join(process.cwd(), 'src/data/schemas.json');
-
-export async function getSchemas() {
-    const fileContent = await fs.readFile(dataFilePath, 'utf8');
-    return JSON.parse(fileContent);
-}
-
-export async function getSchema(docType) {
-    const schemas = await getSchemas();
-    return schemas[docType];
-}
-
 export function enforceStrictSchema(schema) {
     if (!schema || typeof schema !== 'object') return schema;
 
@@ -22,8 +7,9 @@ export function enforceStrictSchema(schema) {
         newSchema.additionalProperties = false;
         newSchema.required = Object.keys(newSchema.properties || {});
 
-        // Recursively enforce for properties
+        // Recursively enforce for properties (on a copy, the caller's schema must stay untouched)
         if (newSchema.properties) {
+            newSchema.properties = { ...newSchema.properties };
             for (const key in newSchema.properties) {
                 newSchema.properties[key] = enforceStrictSchema(newSchema.properties[key]);
             }
@@ -36,3 +22,93 @@ export function enforceStrictSchema(schema) {
 
     return newSchema;
 }
+
+const isContainer = (schema) =>
+    (schema.type === 'object' && schema.properties) || (schema.type === 'array' && schema.items);
+
+// Wraps every leaf field into { value, confidence, page, sourceText[, bbox] } so the
+// model reports where each value came from. stripFieldMetadata() reverses it.
+export function augmentSchemaWithMetadata(schema, { boundingBoxes = false } = {}) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    if (schema.type === 'object' && schema.properties) {
+        const properties = {};
+        for (const key in schema.properties) {
+            properties[key] = augmentSchemaWithMetadata(schema.properties[key], { boundingBoxes });
+        }
+        return { ...schema, properties };
+    }
+
+    if (schema.type === 'array' && schema.items) {
+        return { ...schema, items: augmentSchemaWithMetadata(schema.items, { boundingBoxes }) };
+    }
+
+    const properties = {
+        value: schema,
+        confidence: { type: 'number', description: 'Confidence between 0 and 1 that the value is correct' },
+        page: { type: 'integer', description: '1-based page number the value was read from' },
+        sourceText: { type: 'string', description: 'Exact text in the document the value was read from' },
+    };
+    if (boundingBoxes) {
+        properties.bbox = {
+            type: ['array', 'null'],
+            items: { type: 'number' },
+            description: 'Bounding box of sourceText as [ymin, xmin, ymax, xmax] normalised to 0-1000, or null',
+        };
+    }
+
+    return { type: 'object', properties, required: ['value', 'confidence', 'page', 'sourceText'] };
+}
+
+// Splits a result produced against augmentSchemaWithMetadata(schema) into the plain
+// data and a parallel tree holding the per-field metadata.
+export function stripFieldMetadata(result, schema) {
+    if (result === undefined || result === null || !schema || typeof schema !== 'object') {
+        return { data: result, metadata: null };
+    }
+
+    if (isContainer(schema)) {
+        if (schema.type === 'array') {
+            if (!Array.isArray(result)) return { data: result, metadata: null };
+            const parts = result.map(item => stripFieldMetadata(item, schema.items));
+            return { data: parts.map(p => p.data), metadata: parts.map(p => p.metadata) };
+        }
+
+        if (typeof result !== 'object' || Array.isArray(result)) return { data: result, metadata: null };
+        const data = {};
+        const metadata = {};
+        for (const key in result) {
+            const part = stripFieldMetadata(result[key], schema.properties[key]);
+            data[key] = part.data;
+            metadata[key] = part.metadata;
+        }
+        return { data, metadata };
+    }
+
+    // Leaf: the model may have ignored the wrapper and returned the bare value
+    if (typeof result !== 'object' || Array.isArray(result) || !('value' in result)) {
+        return { data: result, metadata: null };
+    }
+
+    const { value, confidence = null, page = null, sourceText = null, bbox = null } = result;
+    return { data: value, metadata: { confidence, page, sourceText, bbox } };
+}
+
+// Page numbers reported for a page window are relative to that window; shifts them
+// by `offset` pages so they refer to the whole document.
+export function shiftMetadataPages(metadata, schema, offset) {
+    if (!metadata || !schema || typeof schema !== 'object' || !offset) return metadata;
+
+    if (isContainer(schema)) {
+        if (schema.type === 'array') {
+            return Array.isArray(metadata) ? metadata.map(item => shiftMetadataPages(item, schema.items, offset)) : metadata;
+        }
+        const shifted = {};
+        for (const key in metadata) {
+            shifted[key] = shiftMetadataPages(metadata[key], schema.properties[key], offset);
+        }
+        return shifted;
+    }
+
+    return typeof metadata.page === 'number' ? { ...metadata, page: metadata.page + offset } : metadata;
+}
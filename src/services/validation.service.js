@@ -0,0 +1,64 @@
+import Ajv from "ajv";
+
+// strict: false so custom schemas with unknown keywords or formats still compile.
+const createValidator = () => new Ajv({ allErrors: true, strict: false });
+
+// Returns null when the schema compiles, otherwise the compilation error message.
+export function checkSchema(schema) {
+    try {
+        createValidator().compile(schema);
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+// Checks `schema` against the JSON Schema meta-schema, then compiles it. Returns
+// [{ path, message }] with JSON pointers into the schema, empty when it is usable.
+export function checkSchemaDefinition(schema) {
+    const ajv = createValidator();
+    try {
+        if (!ajv.validateSchema(schema)) {
+            // One error per path; the first is the most specific (anyOf/oneOf summaries come last)
+            const byPath = new Map();
+            for (const err of ajv.errors) {
+                const path = err.instancePath || "/";
+                if (byPath.has(path)) continue;
+                byPath.set(path, err.params && err.params.allowedValues
+                    ? `${err.message}: ${err.params.allowedValues.join(", ")}`
+                    : err.message);
+            }
+            return [...byPath].map(([path, message]) => ({ path, message }));
+        }
+    } catch (e) {
+        // e.g. an unknown $schema
+        return [{ path: "/$schema", message: e.message }];
+    }
+
+    const error = checkSchema(schema);
+    return error ? [{ path: "/", message: error }] : [];
+}
+
+export function validateAgainstSchema(data, schema) {
+    // A fresh instance per call: custom schemas may reuse the same $id.
+    const validate = createValidator().compile(schema);
+    const valid = validate(data);
+
+    return {
+        valid,
+        errors: valid ? [] : validate.errors.map(err => ({
+            path: err.instancePath || "/",
+            message: err.params && err.params.additionalProperty
+                ? `${err.message}: "${err.params.additionalProperty}"`
+                : err.message,
+        })),
+    };
+}
+
+export function buildRepairMessage(errors) {
+    const list = errors.map(e => `- ${e.path}: ${e.message}`).join("\n");
+    return `The JSON you returned does not match the required JSON schema. Validation errors:
+${list}
+
+Fix these errors using the information in the document and return the complete corrected JSON object. Return ONLY the JSON object. No markdown formatting, no backticks.`;
+}